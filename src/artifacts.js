@@ -0,0 +1,161 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Preprocessor } from './preprocessing.js';
+import { loadLearner } from './learners.js';
+import { PROFILE_SCHEMA_VERSION } from './drift.js';
+
+/**
+Reading and writing of the model artifacts directory. A training run writes:
+  <artifactsDir>/preprocessing.json   the fitted Preprocessor (see preprocessing.js)
+  <artifactsDir>/model/               the model: a TensorFlow.js layers model (model.json + weights) for the network,
+                                      learner.json for the baselines (see learners.js)
+  <artifactsDir>/calibration.json     the probability calibrator and decision threshold (see calibration.js)
+  <artifactsDir>/importance.json      permutation importance on the held-out rows, when computed (see importance.js)
+  <artifactsDir>/profile.json         column types and distributions of the training rows (see drift.js)
+  <artifactsDir>/config.json          the resolved run configuration (see config.js)
+An ensemble (see ensemble.js) instead writes <artifactsDir>/ensemble.json, profile.json, config.json and one directory per
+member under <artifactsDir>/members/, each laid out like a single-model artifacts directory. Saving either kind removes the
+files of the other, since loadScorer picks an ensemble whenever ensemble.json exists.
+*/
+
+export const ENSEMBLE_SCHEMA_VERSION = 1;
+
+// Entries of an artifacts directory that belong to a single model, to an ensemble, and to both
+export const SINGLE_MODEL_ENTRIES = ['preprocessing.json', 'model', 'calibration.json', 'importance.json'];
+export const ENSEMBLE_ENTRIES = ['ensemble.json', 'members'];
+export const SHARED_ENTRIES = ['profile.json', 'config.json'];
+
+function removeEntries(artifactsDir, entries) {
+  entries.forEach(name => fs.rmSync(path.join(artifactsDir, name), { recursive: true, force: true }));
+}
+
+export function preprocessingPath(artifactsDir) {
+  return path.join(artifactsDir, 'preprocessing.json');
+}
+
+export function modelDir(artifactsDir) {
+  return path.join(artifactsDir, 'model');
+}
+
+export function loadPreprocessor(artifactsDir) {
+  const artifactsPath = preprocessingPath(artifactsDir);
+  if (!fs.existsSync(artifactsPath)) {
+    throw new Error('Missing preprocessing artifacts at ' + artifactsPath);
+  }
+  return Preprocessor.fromJSON(JSON.parse(fs.readFileSync(artifactsPath, 'utf-8')));
+}
+
+export function calibrationPath(artifactsDir) {
+  return path.join(artifactsDir, 'calibration.json');
+}
+
+// Artifacts written before calibration existed have no calibration.json: null means raw probabilities and a 0.5 threshold
+export function loadCalibration(artifactsDir) {
+  const p = calibrationPath(artifactsDir);
+  if (!fs.existsSync(p)) return null;
+  return JSON.parse(fs.readFileSync(p, 'utf-8'));
+}
+
+export function ensembleManifestPath(artifactsDir) {
+  return path.join(artifactsDir, 'ensemble.json');
+}
+
+export function loadEnsembleManifest(artifactsDir) {
+  const manifestPath = ensembleManifestPath(artifactsDir);
+  if (!fs.existsSync(manifestPath)) {
+    throw new Error('Missing ensemble manifest at ' + manifestPath);
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+  if (manifest.schemaVersion !== ENSEMBLE_SCHEMA_VERSION) {
+    throw new Error(
+      `Incompatible ensemble manifest ${manifestPath}: schemaVersion ${manifest.schemaVersion}, ` +
+      `but this code reads version ${ENSEMBLE_SCHEMA_VERSION}. Retrain the ensemble.`
+    );
+  }
+  return manifest;
+}
+
+export function saveEnsembleManifest(artifactsDir, manifest) {
+  fs.mkdirSync(artifactsDir, { recursive: true });
+  removeEntries(artifactsDir, SINGLE_MODEL_ENTRIES);
+  fs.writeFileSync(ensembleManifestPath(artifactsDir), JSON.stringify({ schemaVersion: ENSEMBLE_SCHEMA_VERSION, ...manifest }, null, 2));
+  console.log('Saved ensemble manifest to ' + ensembleManifestPath(artifactsDir));
+}
+
+export function profilePath(artifactsDir) {
+  return path.join(artifactsDir, 'profile.json');
+}
+
+export function saveProfile(artifactsDir, profile) {
+  fs.mkdirSync(artifactsDir, { recursive: true });
+  fs.writeFileSync(profilePath(artifactsDir), JSON.stringify(profile, null, 2));
+  console.log('Saved training data profile to ' + profilePath(artifactsDir));
+}
+
+// Artifacts written before profiles existed have no profile.json: null means inputs are only checked against the raw schema
+export function loadProfile(artifactsDir) {
+  const p = profilePath(artifactsDir);
+  if (!fs.existsSync(p)) return null;
+  const profile = JSON.parse(fs.readFileSync(p, 'utf-8'));
+  if (profile.schemaVersion !== PROFILE_SCHEMA_VERSION) {
+    throw new Error(
+      `Incompatible training data profile ${p}: schemaVersion ${profile.schemaVersion}, ` +
+      `but this code reads version ${PROFILE_SCHEMA_VERSION}. Retrain to write a new one.`
+    );
+  }
+  return profile;
+}
+
+// Returns the saved model as a learner, whatever its type
+export async function loadModel(artifactsDir) {
+  return loadLearner(modelDir(artifactsDir));
+}
+
+export function importancePath(artifactsDir) {
+  return path.join(artifactsDir, 'importance.json');
+}
+
+export async function saveArtifacts(artifactsDir, { preprocessor, model, calibration, importance }) {
+  fs.mkdirSync(artifactsDir, { recursive: true });
+  removeEntries(artifactsDir, ENSEMBLE_ENTRIES);
+  fs.writeFileSync(preprocessingPath(artifactsDir), JSON.stringify(preprocessor, null, 2));
+  console.log('Saved preprocessing artifacts to ' + preprocessingPath(artifactsDir));
+  if (calibration) {
+    fs.writeFileSync(calibrationPath(artifactsDir), JSON.stringify(calibration, null, 2));
+    console.log('Saved calibration to ' + calibrationPath(artifactsDir));
+  } else {
+    fs.rmSync(calibrationPath(artifactsDir), { force: true });
+  }
+  if (importance) {
+    fs.writeFileSync(importancePath(artifactsDir), JSON.stringify(importance, null, 2));
+    console.log('Saved permutation importance to ' + importancePath(artifactsDir));
+  } else {
+    fs.rmSync(importancePath(artifactsDir), { force: true });
+  }
+  // A model of another type saved here earlier must not be picked up instead of this one
+  fs.rmSync(modelDir(artifactsDir), { recursive: true, force: true });
+  await model.save(modelDir(artifactsDir));
+  console.log('Model saved to ' + modelDir(artifactsDir));
+}
+
+// Short content hash of every file under artifactsDir, which identifies exactly which model a process has loaded
+export function artifactsDigest(artifactsDir) {
+  const hash = crypto.createHash('sha256');
+  const walk = dir => {
+    fs.readdirSync(dir, { withFileTypes: true })
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .forEach(entry => {
+        const p = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(p);
+        } else {
+          hash.update(path.relative(artifactsDir, p));
+          hash.update(fs.readFileSync(p));
+        }
+      });
+  };
+  if (!fs.existsSync(artifactsDir)) throw new Error('Missing artifacts directory ' + artifactsDir);
+  walk(artifactsDir);
+  return hash.digest('hex').slice(0, 12);
+}
@@ -0,0 +1,197 @@
+/**
+Probability calibration and decision-threshold tuning. Both are fitted on held-out predictions (the validation split, or the
+out-of-fold predictions when cross-validating) and saved as model_artifacts/calibration.json, which the predict and evaluate
+commands apply automatically.
+
+Two calibrators are available:
+  - Platt scaling fits p' = sigmoid(a * logit(p) + b) by maximum likelihood (Newton's method), using Platt's smoothed targets
+    (N+ + 1) / (N+ + 2) and 1 / (N- + 2) so a perfectly separable validation set does not push a and b to infinity.
+  - Isotonic regression fits a non-decreasing step function with the pool-adjacent-violators algorithm and interpolates linearly
+    between the block centres. It is more flexible than Platt but needs more validation rows to be reliable.
+The threshold is then chosen on the calibrated probabilities as the cut that maximizes validation accuracy.
+*/
+
+export const CALIBRATION_METHODS = ['none', 'platt', 'isotonic'];
+
+const EPS = 1e-7;
+
+function clip(p) {
+  return Math.min(Math.max(p, EPS), 1 - EPS);
+}
+
+function logit(p) {
+  const q = clip(p);
+  return Math.log(q / (1 - q));
+}
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// Mean binary cross-entropy of probabilities against 0/1 labels
+export function logLoss(probs, labels) {
+  let sum = 0;
+  probs.forEach((p, i) => {
+    const q = clip(p);
+    sum += -(labels[i] * Math.log(q) + (1 - labels[i]) * Math.log(1 - q));
+  });
+  return sum / probs.length;
+}
+
+export function accuracyAt(probs, labels, threshold) {
+  let correct = 0;
+  probs.forEach((p, i) => { if ((p >= threshold ? 1 : 0) === labels[i]) correct += 1; });
+  return correct / probs.length;
+}
+
+export function fitPlatt(probs, labels) {
+  const f = probs.map(logit);
+  const nPos = labels.filter(y => y === 1).length;
+  const nNeg = labels.length - nPos;
+  const hi = (nPos + 1) / (nPos + 2);
+  const lo = 1 / (nNeg + 2);
+  const t = labels.map(y => (y === 1 ? hi : lo));
+
+  const loss = (a, b) => {
+    let sum = 0;
+    f.forEach((fi, i) => {
+      const p = clip(sigmoid(a * fi + b));
+      sum -= t[i] * Math.log(p) + (1 - t[i]) * Math.log(1 - p);
+    });
+    return sum;
+  };
+
+  // Start from the identity mapping (a = 1, b = 0) and take Newton steps with backtracking
+  let a = 1;
+  let b = 0;
+  let current = loss(a, b);
+  for (let iter = 0; iter < 100; iter++) {
+    let gA = 0, gB = 0, hAA = 1e-12, hAB = 0, hBB = 1e-12;
+    f.forEach((fi, i) => {
+      const p = sigmoid(a * fi + b);
+      const d = p - t[i];
+      const w = p * (1 - p);
+      gA += d * fi;
+      gB += d;
+      hAA += w * fi * fi;
+      hAB += w * fi;
+      hBB += w;
+    });
+    const det = hAA * hBB - hAB * hAB;
+    if (!(Math.abs(det) > 0)) break;
+    const stepA = (hBB * gA - hAB * gB) / det;
+    const stepB = (hAA * gB - hAB * gA) / det;
+
+    let scale = 1;
+    let next = loss(a - stepA, b - stepB);
+    while (next > current && scale > 1e-8) {
+      scale /= 2;
+      next = loss(a - scale * stepA, b - scale * stepB);
+    }
+    if (next > current) break;
+    a -= scale * stepA;
+    b -= scale * stepB;
+    const improvement = current - next;
+    current = next;
+    if (Math.abs(scale * stepA) < 1e-10 && Math.abs(scale * stepB) < 1e-10) break;
+    if (improvement < 1e-12) break;
+  }
+  return { a, b };
+}
+
+export function fitIsotonic(probs, labels) {
+  const order = probs.map((p, i) => i).sort((i, j) => probs[i] - probs[j]);
+  const blocks = [];
+  order.forEach(i => {
+    blocks.push({ sum: labels[i], count: 1, minX: probs[i], maxX: probs[i] });
+    // Pool adjacent blocks while they violate the non-decreasing constraint
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const prev = blocks[blocks.length - 2];
+      if (prev.sum / prev.count < last.sum / last.count) break;
+      prev.sum += last.sum;
+      prev.count += last.count;
+      prev.maxX = last.maxX;
+      blocks.pop();
+    }
+  });
+  return {
+    x: blocks.map(bl => (bl.minX + bl.maxX) / 2),
+    y: blocks.map(bl => bl.sum / bl.count)
+  };
+}
+
+function applyIsotonic({ x, y }, p) {
+  if (x.length === 0) return p;
+  if (p <= x[0]) return y[0];
+  if (p >= x[x.length - 1]) return y[y.length - 1];
+  let lo = 0;
+  let hi = x.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (x[mid] <= p) lo = mid;
+    else hi = mid;
+  }
+  const w = (p - x[lo]) / (x[hi] - x[lo]);
+  return y[lo] + w * (y[hi] - y[lo]);
+}
+
+/**
+Finds the threshold with the highest accuracy when rows with p >= threshold are labeled positive. Candidate cuts lie halfway between
+consecutive distinct probabilities; among equally accurate cuts the one closest to 0.5 wins, which keeps the choice stable.
+*/
+export function bestThreshold(probs, labels) {
+  const order = probs.map((p, i) => i).sort((i, j) => probs[j] - probs[i]);
+  const nNeg = labels.filter(y => y === 0).length;
+  let correct = nNeg; // threshold above every probability: everything negative
+  let best = { threshold: 1, accuracy: correct / probs.length };
+  const consider = (threshold, acc) => {
+    if (acc > best.accuracy + 1e-12 || (Math.abs(acc - best.accuracy) <= 1e-12 && Math.abs(threshold - 0.5) < Math.abs(best.threshold - 0.5))) {
+      best = { threshold, accuracy: acc };
+    }
+  };
+  let k = 0;
+  while (k < order.length) {
+    const value = probs[order[k]];
+    while (k < order.length && probs[order[k]] === value) {
+      correct += labels[order[k]] === 1 ? 1 : -1;
+      k += 1;
+    }
+    const nextLower = k < order.length ? probs[order[k]] : 0;
+    consider((value + nextLower) / 2, correct / probs.length);
+  }
+  return best;
+}
+
+/**
+Fits the configured calibrator and the accuracy-maximizing threshold on held-out probabilities and labels.
+The returned object is what gets saved as calibration.json; the metrics it carries are measured on the same rows it was fitted on,
+so they are optimistic and only meant to show what the calibration changed.
+*/
+export function fitCalibration(probs, labels, { method = 'platt', tuneThreshold = true } = {}) {
+  if (!CALIBRATION_METHODS.includes(method)) {
+    throw new Error(`Unknown calibration method "${method}". Known methods: ${CALIBRATION_METHODS.join(', ')}`);
+  }
+  const calibration = { method };
+  if (method === 'platt') calibration.platt = fitPlatt(probs, labels);
+  if (method === 'isotonic') calibration.isotonic = fitIsotonic(probs, labels);
+
+  const calibrated = probs.map(p => calibrate(calibration, p));
+  calibration.threshold = tuneThreshold ? bestThreshold(calibrated, labels).threshold : 0.5;
+  calibration.fittedOn = {
+    rows: probs.length,
+    logLossBefore: logLoss(probs, labels),
+    logLossAfter: logLoss(calibrated, labels),
+    accuracyAtHalf: accuracyAt(calibrated, labels, 0.5),
+    accuracyAtThreshold: accuracyAt(calibrated, labels, calibration.threshold)
+  };
+  return calibration;
+}
+
+// Maps one raw model probability through a fitted calibration (null or method 'none' leaves it unchanged)
+export function calibrate(calibration, p) {
+  if (!calibration || calibration.method === 'none') return p;
+  if (calibration.method === 'platt') return sigmoid(calibration.platt.a * logit(p) + calibration.platt.b);
+  if (calibration.method === 'isotonic') return applyIsotonic(calibration.isotonic, p);
+  throw new Error(`Unknown calibration method "${calibration.method}" in calibration artifact`);
+}
@@ -0,0 +1,65 @@
+import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+import { fileUrl } from './data.js';
+
+/**
+Per-epoch checkpoints of a network in training, so an interrupted run picks up where it stopped (training.resume) instead of
+starting over. Every network train fits gets its own directory under paths.checkpointDir: holdout, or fold-<k> and final
+when cross-validating, nested under member-<k> for ensemble members. After every epoch the directory holds:
+  epoch-<n>/         the weights after epoch n (model.json + weights.bin); the directory of the best epoch is kept too
+  checkpoint.json    { fingerprint, epoch, history, best, wait, stopped, optimizer }
+epoch is the number of completed epochs and history the per-epoch metrics so far. best ({ epoch, valLoss }, null without
+early stopping), wait (epochs since the best one) and stopped carry the early-stopping state. optimizer holds the optimizer's
+variables (iteration count, moment estimates) with their values inline. fingerprint describes what was being trained; a
+checkpoint written for a different model, inputs or data is never resumed from.
+*/
+
+export const CHECKPOINT_FILE = 'checkpoint.json';
+
+function epochDir(dir, epoch) {
+  return path.join(dir, `epoch-${String(epoch).padStart(4, '0')}`);
+}
+
+// The checkpoint state in dir, or null when there is none
+export function readCheckpoint(dir) {
+  const p = path.join(dir, CHECKPOINT_FILE);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf-8')) : null;
+}
+
+/**
+Saves the model's weights after state.epoch epochs and then checkpoint.json, which is replaced in one rename so it always
+names weights that were completely written. Weights of epochs other than the latest and the best are removed.
+*/
+export async function saveCheckpoint(dir, model, state) {
+  await model.save(fileUrl(epochDir(dir, state.epoch)));
+  const optimizer = (await model.optimizer.getWeights()).map(({ name, tensor }) => ({
+    name,
+    dtype: tensor.dtype,
+    shape: tensor.shape,
+    values: Array.from(tensor.dataSync())
+  }));
+  const p = path.join(dir, CHECKPOINT_FILE);
+  fs.writeFileSync(`${p}.tmp`, JSON.stringify({ ...state, optimizer }));
+  fs.renameSync(`${p}.tmp`, p);
+
+  const keep = new Set([epochDir(dir, state.epoch), state.best ? epochDir(dir, state.best.epoch) : null]);
+  fs.readdirSync(dir)
+    .filter(name => name.startsWith('epoch-') && !keep.has(path.join(dir, name)))
+    .forEach(name => fs.rmSync(path.join(dir, name), { recursive: true, force: true }));
+}
+
+// The weights saved after the given epoch, as tensors in model.getWeights() order; the caller disposes them
+export async function loadCheckpointWeights(dir, epoch) {
+  const saved = await tf.loadLayersModel(fileUrl(path.join(epochDir(dir, epoch), 'model.json')));
+  const weights = saved.getWeights().map(w => w.clone());
+  saved.dispose();
+  return weights;
+}
+
+// Puts the optimizer variables of a checkpoint back into a freshly compiled model's optimizer
+export async function restoreOptimizer(model, optimizer) {
+  const weights = optimizer.map(({ name, dtype, shape, values }) => ({ name, tensor: tf.tensor(values, shape, dtype) }));
+  await model.optimizer.setWeights(weights);
+  tf.dispose(weights.map(({ tensor }) => tensor));
+}
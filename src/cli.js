@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+import { parseArgs } from 'util';
+import { resolveConfig } from './config.js';
+import { train } from './train.js';
+import { predict } from './prediction.js';
+import { evaluate } from './evaluate.js';
+import { search } from './search.js';
+import { trainEnsemble } from './ensemble.js';
+import { serve } from './server.js';
+import { listRunsCommand, compareRunsCommand, tagRunCommand } from './runs.js';
+
+/**
+Command-line entry point: `node src/cli.js <command> [args] [--config file.json|file.yaml] [flags]`.
+Every command builds its configuration the same way (defaults < config file < flags, see config.js) and validates it
+before doing any work. Flags map one-to-one onto config keys; FLAGS below lists them with the key each one sets.
+*/
+
+const COMMANDS = {
+  train: { run: train, help: 'fit preprocessing and the model, write artifacts' },
+  predict: { run: predict, help: 'score the test CSV and write the submission file' },
+  evaluate: { run: evaluate, help: 'score a labeled CSV with saved artifacts and write a JSON/HTML evaluation report' },
+  search: { run: search, help: 'run or resume a hyperparameter search (see the search section of the config)' },
+  ensemble: { run: trainEnsemble, help: 'train an ensemble of models (see the ensemble section of the config)' },
+  serve: { run: serve, help: 'serve predictions over HTTP with the saved artifacts' },
+  runs: { run: listRunsCommand, help: 'list the tracked training runs' },
+  compare: { run: compareRunsCommand, args: '<run> <run>...', help: 'compare runs: metrics, data, commit and differing hyperparameters' },
+  tag: { run: tagRunCommand, args: '<run> <tag>', help: 'tag a run (e.g. production); --run accepts tags' }
+};
+
+// flag name -> [config section (null for top level), config key, value type]
+const FLAGS = {
+  'train': ['paths', 'train', 'string'],
+  'test': ['paths', 'test', 'string'],
+  'data': ['paths', 'evaluate', 'string'],
+  'output': ['paths', 'submission', 'string'],
+  'artifacts': ['paths', 'artifactsDir', 'string'],
+  'logdir': ['paths', 'logDir', 'string'],
+  'checkpoint-dir': ['paths', 'checkpointDir', 'string'],
+  'search-dir': ['paths', 'searchDir', 'string'],
+  'report-dir': ['paths', 'reportDir', 'string'],
+  'label': [null, 'labelColumn', 'string'],
+  'id': [null, 'idColumn', 'string'],
+  'batch-size': ['training', 'batchSize', 'number'],
+  'epochs': ['training', 'epochs', 'number'],
+  'validation-split': ['training', 'validationSplit', 'number'],
+  'folds': ['training', 'folds', 'number'],
+  'seed': ['training', 'seed', 'number'],
+  'patience': ['training', 'patience', 'number'],
+  'resume': ['training', 'resume', 'boolean'],
+  'threshold': ['prediction', 'threshold', 'number'],
+  'write-probabilities': ['prediction', 'writeProbabilities', 'boolean'],
+  'format': ['prediction', 'format', 'string'],
+  'predict-batch-size': ['prediction', 'batchSize', 'number'],
+  'sample-submission': ['paths', 'sampleSubmission', 'string'],
+  'write-attributions': ['prediction', 'writeAttributions', 'boolean'],
+  'attributions-output': ['paths', 'attributions', 'string'],
+  'strict': ['validation', 'strict', 'boolean'],
+  'allow-input-mismatch': ['validation', 'allowInputMismatch', 'boolean'],
+  'validation-report': ['paths', 'validationReport', 'string'],
+  'runs-dir': ['paths', 'runsDir', 'string'],
+  'run': ['prediction', 'run', 'string'],
+  'calibration': ['calibration', 'method', 'string'],
+  'model-type': ['model', 'type', 'string'],
+  'strategy': ['search', 'strategy', 'string'],
+  'max-trials': ['search', 'maxTrials', 'number'],
+  'max-minutes': ['search', 'maxMinutes', 'number'],
+  'members': ['ensemble', 'size', 'number'],
+  'ensemble-strategy': ['ensemble', 'strategy', 'string'],
+  'combine': ['prediction', 'combine', 'string'],
+  'host': ['server', 'host', 'string'],
+  'port': ['server', 'port', 'number']
+};
+
+function usage() {
+  const commands = Object.entries(COMMANDS)
+    .map(([name, { args, help }]) => `  ${(args ? `${name} ${args}` : name).padEnd(24)} ${help}`)
+    .join('\n');
+  const flags = Object.entries(FLAGS)
+    .map(([flag, [section, key, type]]) => `  --${(type === 'boolean' ? flag : flag + ' <v>').padEnd(22)} ${section ? section + '.' : ''}${key}`)
+    .join('\n');
+  return `Usage: node src/cli.js <command> [args] [options]
+
+Commands:
+${commands}
+
+Options:
+  --config <file>          JSON or YAML config file
+  --no-logdir              disable TensorBoard logging
+  --no-checkpoints         do not checkpoint training epochs
+  --no-tracking            do not archive the run to the runs directory
+  --no-check-sample        do not check the submission against the sample submission
+${flags}
+  --help                   show this message`;
+}
+
+// Turns parsed flag values into a partial config with the same shape as DEFAULT_CONFIG
+function overridesFromFlags(values) {
+  const overrides = {};
+  Object.entries(FLAGS).forEach(([flag, [section, key, type]]) => {
+    if (values[flag] === undefined) return;
+    const value = type === 'number' ? Number(values[flag]) : values[flag];
+    if (section) {
+      overrides[section] = overrides[section] || {};
+      overrides[section][key] = value;
+    } else {
+      overrides[key] = value;
+    }
+  });
+  if (values['no-logdir']) {
+    overrides.paths = { ...overrides.paths, logDir: null };
+  }
+  if (values['no-checkpoints']) {
+    overrides.paths = { ...overrides.paths, checkpointDir: null };
+  }
+  if (values['no-tracking']) {
+    overrides.tracking = { enabled: false };
+  }
+  if (values['no-check-sample']) {
+    overrides.prediction = { ...overrides.prediction, checkSample: false };
+  }
+  return overrides;
+}
+
+async function main(argv) {
+  const options = {
+    config: { type: 'string' },
+    'no-logdir': { type: 'boolean' },
+    'no-checkpoints': { type: 'boolean' },
+    'no-tracking': { type: 'boolean' },
+    'no-check-sample': { type: 'boolean' },
+    help: { type: 'boolean', short: 'h' }
+  };
+  Object.entries(FLAGS).forEach(([flag, [, , type]]) => {
+    options[flag] = { type: type === 'boolean' ? 'boolean' : 'string' };
+  });
+
+  const { values, positionals } = parseArgs({ args: argv, options, allowPositionals: true });
+  const [command] = positionals;
+  if (values.help || !command) {
+    console.log(usage());
+    return;
+  }
+  if (!COMMANDS[command]) {
+    throw new Error(`Unknown command "${command}".\n\n${usage()}`);
+  }
+  // Only commands that declare args take positional arguments after the command name
+  const args = positionals.slice(1);
+  if (args.length > 0 && !COMMANDS[command].args) {
+    throw new Error(`Unexpected arguments: ${args.join(' ')}`);
+  }
+
+  const config = resolveConfig({ configPath: values.config, overrides: overridesFromFlags(values) });
+  await COMMANDS[command].run(config, args);
+}
+
+main(process.argv.slice(2)).catch(err => {
+  console.error(err);
+  process.exit(1);
+});
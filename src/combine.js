@@ -0,0 +1,60 @@
+import { logLoss } from './calibration.js';
+
+/**
+Ways of combining the probabilities of several ensemble members into one probability per row:
+  mean       plain average of the member probabilities
+  vote       fraction of members that predict True at 0.5 (majority vote once thresholded at 0.5)
+  weighted   weighted average with non-negative weights summing to 1, learned from out-of-fold predictions
+memberProbs is always a members × rows array of raw (uncalibrated) member probabilities.
+*/
+
+export const COMBINE_METHODS = ['mean', 'vote', 'weighted'];
+
+export function combineProbabilities(memberProbs, method, weights = null) {
+  const m = memberProbs.length;
+  const n = m > 0 ? memberProbs[0].length : 0;
+  const w = method === 'weighted' && weights ? weights : new Array(m).fill(1 / m);
+  const out = new Array(n).fill(0);
+  memberProbs.forEach((probs, k) => {
+    probs.forEach((p, i) => {
+      out[i] += method === 'vote' ? (p >= 0.5 ? 1 : 0) / m : w[k] * p;
+    });
+  });
+  return out;
+}
+
+/**
+Learns convex combination weights that minimize the log-loss of the weighted average on held-out rows.
+The weights are parameterized as a softmax over free logits and fitted by gradient descent, which keeps them non-negative
+and summing to 1 without a constrained solver. Starts from uniform weights, so with no signal it stays close to the mean.
+*/
+export function learnWeights(memberProbs, labels, { iterations = 500, learningRate = 0.5 } = {}) {
+  const m = memberProbs.length;
+  const n = labels.length;
+  const eps = 1e-7;
+  const logits = new Array(m).fill(0);
+  const softmax = () => {
+    const max = Math.max(...logits);
+    const e = logits.map(z => Math.exp(z - max));
+    const sum = e.reduce((a, b) => a + b, 0);
+    return e.map(v => v / sum);
+  };
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const w = softmax();
+    const q = combineProbabilities(memberProbs, 'weighted', w);
+    // d(logLoss)/d(w_k) = -1/n Σ_i (y_i / q_i - (1 - y_i) / (1 - q_i)) p_ki
+    const grad = memberProbs.map(probs => {
+      let g = 0;
+      probs.forEach((p, i) => {
+        const qi = Math.min(Math.max(q[i], eps), 1 - eps);
+        g -= (labels[i] / qi - (1 - labels[i]) / (1 - qi)) * p;
+      });
+      return g / n;
+    });
+    const avg = w.reduce((a, wk, k) => a + wk * grad[k], 0);
+    logits.forEach((_, k) => { logits[k] -= learningRate * w[k] * (grad[k] - avg); });
+  }
+  const weights = softmax();
+  return { weights, logLoss: logLoss(combineProbabilities(memberProbs, 'weighted', weights), labels) };
+}
@@ -0,0 +1,368 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { DEFAULT_FEATURE_CONFIG } from './features.js';
+import { modelSpecErrors } from './model.js';
+import { imputationConfigErrors } from './imputation.js';
+import { resolveSearchConfig, searchConfigErrors } from './search.js';
+import { resolveEnsembleConfig, ensembleConfigErrors } from './ensemble.js';
+import { CALIBRATION_METHODS } from './calibration.js';
+import { COMBINE_METHODS } from './combine.js';
+
+/**
+Run configuration shared by all commands (train, predict, evaluate, search, ensemble, serve, runs, compare, tag). A config is built in three layers, later ones winning:
+the defaults below, an optional JSON or YAML config file (--config), then individual command-line flags.
+
+Relative paths are resolved against where they were written down: defaults against the repository root, paths from a config file
+against that file's directory, and paths from flags against the current working directory. Once resolved every path is absolute,
+so the commands no longer depend on being started from src/. The resolved config is validated before anything runs and is
+saved as config.json next to the model artifacts so a training run can be reproduced exactly.
+*/
+
+// Output layouts of the predict command (see prediction.js)
+export const OUTPUT_FORMATS = ['kaggle', 'csv', 'jsonl'];
+
+export const REPO_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+export const DEFAULT_CONFIG = {
+  labelColumn: 'Transported',
+  idColumn: 'PassengerId',
+  paths: {
+    train: 'data/train.csv',
+    test: 'data/test.csv',
+    evaluate: 'data/train.csv',
+    submission: 'data/submission.csv',
+    sampleSubmission: 'data/sample_submission.csv',
+    artifactsDir: 'model_artifacts',
+    logDir: 'logdir',
+    checkpointDir: 'checkpoints',
+    searchDir: 'results/search',
+    reportDir: 'results/evaluation',
+    attributions: 'data/attributions.csv',
+    validationReport: 'results/validation.json',
+    runsDir: 'runs'
+  },
+  training: {
+    batchSize: 32,
+    epochs: 20,
+    validationSplit: 0.2,
+    folds: 0,
+    // seeds the split, and (unless model.seed is set) the initial weights, dropout masks and per-epoch shuffling
+    seed: 42,
+    // epochs without a validation loss improvement of more than minDelta before training stops; 0 disables early stopping
+    patience: 0,
+    minDelta: 0,
+    // continues from the checkpoints in paths.checkpointDir (see checkpoints.js)
+    resume: false
+  },
+  prediction: {
+    // null uses the threshold tuned at training time (calibration.json), or 0.5 when there is none
+    threshold: null,
+    // rows read, scored and written at a time
+    batchSize: 1024,
+    // output layout: 'kaggle' (idColumn,labelColumn), 'csv' (idColumn,Probability,labelColumn) or 'jsonl' (one object per row)
+    format: 'kaggle',
+    // checks the IDs and columns of a kaggle-format submission against paths.sampleSubmission
+    checkSample: true,
+    // adds the calibrated probability as an extra column of the submission file
+    writeProbabilities: false,
+    // how to combine ensemble members; null uses the method the ensemble was trained with
+    combine: null,
+    // writes per-passenger occlusion attributions to paths.attributions (see importance.js)
+    writeAttributions: false,
+    // run ID or tag to load from paths.runsDir instead of paths.artifactsDir (predict, evaluate and serve; see runs.js)
+    run: null
+  },
+  // Archives every train and ensemble run to paths.runsDir (see runs.js)
+  tracking: {
+    enabled: true
+  },
+  calibration: {
+    method: 'platt',
+    tuneThreshold: true
+  },
+  // Checks of the predict inputs against the training data profile (see drift.js)
+  validation: {
+    // fails predict on any issue instead of only warning about it
+    strict: false,
+    // scores with a model whose input width does not match its preprocessing, slicing or zero-padding the inputs
+    allowInputMismatch: false,
+    // largest allowed rise in a column's share of missing values
+    maxMissingRateIncrease: 0.1,
+    psiThreshold: 0.2,
+    ksThreshold: 0.1
+  },
+  // Permutation importance on the held-out rows, computed by train
+  importance: {
+    enabled: true,
+    repeats: 3
+  },
+  evaluation: {
+    // raw columns to break accuracy down by in the evaluation report
+    segments: ['HomePlanet', 'Destination', 'CryoSleep', 'VIP']
+  },
+  // Inference server (serve command)
+  server: {
+    host: '127.0.0.1',
+    port: 8080,
+    maxBodyBytes: 1048576,
+    maxRecords: 1000
+  },
+  features: {},
+  // Per-column missing-value rules and missingness indicators; missing keys fall back to DEFAULT_IMPUTATION_CONFIG in
+  // imputation.js, which also validates them. Empty: the preprocessing defaults (mean for numbers, __MISSING__ for strings)
+  imputation: {},
+  // Partial model spec; missing keys fall back to DEFAULT_MODEL_SPEC in model.js
+  model: {},
+  // Hyperparameter search settings; missing keys fall back to DEFAULT_SEARCH_CONFIG in search.js, which also validates them
+  search: {},
+  // Ensemble settings; missing keys fall back to DEFAULT_ENSEMBLE_CONFIG in ensemble.js, which also validates them
+  ensemble: {}
+};
+
+const PATH_KEYS = Object.keys(DEFAULT_CONFIG.paths);
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Recursively overlays `override` onto `base`; arrays and scalars are replaced, not merged
+export function mergeConfig(base, override) {
+  const out = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value === undefined) return;
+    out[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return out;
+}
+
+function resolvePaths(config, baseDir) {
+  if (!isPlainObject(config.paths)) return config;
+  const paths = { ...config.paths };
+  PATH_KEYS.forEach(key => {
+    if (typeof paths[key] === 'string' && paths[key] !== '') paths[key] = path.resolve(baseDir, paths[key]);
+  });
+  return { ...config, paths };
+}
+
+/**
+Reads a config file. Files ending in .yaml or .yml are parsed as YAML, everything else as JSON.
+The returned object has its relative paths already resolved against the file's directory.
+*/
+export function loadConfigFile(configPath) {
+  const absolute = path.resolve(configPath);
+  if (!fs.existsSync(absolute)) {
+    throw new Error(`Config file not found: ${absolute}`);
+  }
+  const text = fs.readFileSync(absolute, 'utf-8');
+  const ext = path.extname(absolute).toLowerCase();
+  let parsed;
+  try {
+    parsed = ext === '.yaml' || ext === '.yml' ? YAML.parse(text) : JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Could not parse config file ${absolute}: ${err.message}`);
+  }
+  if (!isPlainObject(parsed)) {
+    throw new Error(`Config file ${absolute} must contain an object at the top level`);
+  }
+  return resolvePaths(parsed, path.dirname(absolute));
+}
+
+/**
+Checks a merged config and throws one Error listing every problem found, so a bad config fails at startup
+instead of halfway through a long training run.
+*/
+export function validateConfig(config) {
+  const errors = [];
+  const checkKeys = (obj, allowed, where) => {
+    Object.keys(obj).forEach(key => {
+      if (!(key in allowed)) errors.push(`unknown key "${where}${key}"`);
+    });
+  };
+  const positiveInt = (v, name) => {
+    if (!Number.isInteger(v) || v <= 0) errors.push(`${name} must be a positive integer, got ${JSON.stringify(v)}`);
+  };
+
+  checkKeys(config, DEFAULT_CONFIG, '');
+  ['labelColumn', 'idColumn'].forEach(key => {
+    if (typeof config[key] !== 'string' || config[key] === '') errors.push(`${key} must be a non-empty string`);
+  });
+
+  if (!isPlainObject(config.paths)) {
+    errors.push('paths must be an object');
+  } else {
+    checkKeys(config.paths, DEFAULT_CONFIG.paths, 'paths.');
+    PATH_KEYS.forEach(key => {
+      const v = config.paths[key];
+      // logDir and checkpointDir may be null to disable TensorBoard logging and checkpoints
+      if ((key === 'logDir' || key === 'checkpointDir') && v === null) return;
+      if (typeof v !== 'string' || v === '') errors.push(`paths.${key} must be a non-empty string`);
+    });
+  }
+
+  if (!isPlainObject(config.training)) {
+    errors.push('training must be an object');
+  } else {
+    const t = config.training;
+    checkKeys(t, DEFAULT_CONFIG.training, 'training.');
+    positiveInt(t.batchSize, 'training.batchSize');
+    positiveInt(t.epochs, 'training.epochs');
+    if (typeof t.validationSplit !== 'number' || !(t.validationSplit > 0 && t.validationSplit < 1)) {
+      errors.push(`training.validationSplit must be a number between 0 and 1 (exclusive), got ${JSON.stringify(t.validationSplit)}`);
+    }
+    if (!Number.isInteger(t.folds) || t.folds < 0 || t.folds === 1) {
+      errors.push(`training.folds must be 0 (hold-out split) or an integer >= 2, got ${JSON.stringify(t.folds)}`);
+    }
+    if (!Number.isInteger(t.seed)) errors.push(`training.seed must be an integer, got ${JSON.stringify(t.seed)}`);
+    if (!Number.isInteger(t.patience) || t.patience < 0) {
+      errors.push(`training.patience must be a non-negative integer (0 disables early stopping), got ${JSON.stringify(t.patience)}`);
+    }
+    if (typeof t.minDelta !== 'number' || !(t.minDelta >= 0)) {
+      errors.push(`training.minDelta must be a non-negative number, got ${JSON.stringify(t.minDelta)}`);
+    }
+    if (typeof t.resume !== 'boolean') errors.push('training.resume must be true or false');
+  }
+
+  if (!isPlainObject(config.prediction)) {
+    errors.push('prediction must be an object');
+  } else {
+    checkKeys(config.prediction, DEFAULT_CONFIG.prediction, 'prediction.');
+    const th = config.prediction.threshold;
+    if (th !== null && (typeof th !== 'number' || !(th >= 0 && th <= 1))) {
+      errors.push(`prediction.threshold must be null or a number between 0 and 1, got ${JSON.stringify(th)}`);
+    }
+    positiveInt(config.prediction.batchSize, 'prediction.batchSize');
+    if (!OUTPUT_FORMATS.includes(config.prediction.format)) {
+      errors.push(`prediction.format must be one of ${OUTPUT_FORMATS.join(', ')}`);
+    }
+    if (typeof config.prediction.checkSample !== 'boolean') errors.push('prediction.checkSample must be true or false');
+    if (typeof config.prediction.writeProbabilities !== 'boolean') errors.push('prediction.writeProbabilities must be true or false');
+    if (typeof config.prediction.writeAttributions !== 'boolean') errors.push('prediction.writeAttributions must be true or false');
+    const run = config.prediction.run;
+    if (run !== null && (typeof run !== 'string' || run === '')) errors.push('prediction.run must be null or a run ID or tag');
+    const combine = config.prediction.combine;
+    if (combine !== null && !COMBINE_METHODS.includes(combine)) {
+      errors.push(`prediction.combine must be null or one of ${COMBINE_METHODS.join(', ')}`);
+    }
+  }
+
+  if (!isPlainObject(config.calibration)) {
+    errors.push('calibration must be an object');
+  } else {
+    checkKeys(config.calibration, DEFAULT_CONFIG.calibration, 'calibration.');
+    if (!CALIBRATION_METHODS.includes(config.calibration.method)) {
+      errors.push(`calibration.method must be one of ${CALIBRATION_METHODS.join(', ')}`);
+    }
+    if (typeof config.calibration.tuneThreshold !== 'boolean') errors.push('calibration.tuneThreshold must be true or false');
+  }
+
+  if (!isPlainObject(config.tracking)) {
+    errors.push('tracking must be an object');
+  } else {
+    checkKeys(config.tracking, DEFAULT_CONFIG.tracking, 'tracking.');
+    if (typeof config.tracking.enabled !== 'boolean') errors.push('tracking.enabled must be true or false');
+  }
+
+  if (!isPlainObject(config.validation)) {
+    errors.push('validation must be an object');
+  } else {
+    const v = config.validation;
+    checkKeys(v, DEFAULT_CONFIG.validation, 'validation.');
+    if (typeof v.strict !== 'boolean') errors.push('validation.strict must be true or false');
+    if (typeof v.allowInputMismatch !== 'boolean') errors.push('validation.allowInputMismatch must be true or false');
+    if (typeof v.maxMissingRateIncrease !== 'number' || !(v.maxMissingRateIncrease >= 0 && v.maxMissingRateIncrease <= 1)) {
+      errors.push(`validation.maxMissingRateIncrease must be a number between 0 and 1, got ${JSON.stringify(v.maxMissingRateIncrease)}`);
+    }
+    ['psiThreshold', 'ksThreshold'].forEach(key => {
+      if (typeof v[key] !== 'number' || !(v[key] > 0)) errors.push(`validation.${key} must be a positive number, got ${JSON.stringify(v[key])}`);
+    });
+  }
+
+  if (!isPlainObject(config.importance)) {
+    errors.push('importance must be an object');
+  } else {
+    checkKeys(config.importance, DEFAULT_CONFIG.importance, 'importance.');
+    if (typeof config.importance.enabled !== 'boolean') errors.push('importance.enabled must be true or false');
+    positiveInt(config.importance.repeats, 'importance.repeats');
+  }
+
+  if (!isPlainObject(config.evaluation)) {
+    errors.push('evaluation must be an object');
+  } else {
+    checkKeys(config.evaluation, DEFAULT_CONFIG.evaluation, 'evaluation.');
+    const segments = config.evaluation.segments;
+    if (!Array.isArray(segments) || segments.some(s => typeof s !== 'string' || s === '')) {
+      errors.push('evaluation.segments must be a list of column names');
+    }
+  }
+
+  if (!isPlainObject(config.server)) {
+    errors.push('server must be an object');
+  } else {
+    const s = config.server;
+    checkKeys(s, DEFAULT_CONFIG.server, 'server.');
+    if (typeof s.host !== 'string' || s.host === '') errors.push('server.host must be a non-empty string');
+    if (!Number.isInteger(s.port) || s.port < 0 || s.port > 65535) {
+      errors.push(`server.port must be an integer between 0 and 65535, got ${JSON.stringify(s.port)}`);
+    }
+    positiveInt(s.maxBodyBytes, 'server.maxBodyBytes');
+    positiveInt(s.maxRecords, 'server.maxRecords');
+  }
+
+  if (!isPlainObject(config.features)) {
+    errors.push('features must be an object');
+  } else {
+    Object.entries(config.features).forEach(([key, value]) => {
+      if (!(key in DEFAULT_FEATURE_CONFIG)) errors.push(`unknown feature switch "features.${key}"`);
+      else if (typeof value !== 'boolean') errors.push(`features.${key} must be true or false`);
+    });
+  }
+
+  if (!isPlainObject(config.imputation)) {
+    errors.push('imputation must be an object');
+  } else {
+    errors.push(...imputationConfigErrors(config.imputation));
+  }
+
+  if (!isPlainObject(config.model)) {
+    errors.push('model must be an object');
+  } else {
+    errors.push(...modelSpecErrors(config.model));
+  }
+
+  if (!isPlainObject(config.search)) {
+    errors.push('search must be an object');
+  } else {
+    errors.push(...searchConfigErrors(resolveSearchConfig(config.search)));
+  }
+
+  if (!isPlainObject(config.ensemble)) {
+    errors.push('ensemble must be an object');
+  } else {
+    errors.push(...ensembleConfigErrors(resolveEnsembleConfig(config.ensemble)));
+  }
+
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+  return config;
+}
+
+/**
+Builds the final config: defaults, then the config file (if any), then flag overrides. `overrides` has the same shape as
+DEFAULT_CONFIG with only the keys the user set; its relative paths are resolved against the current working directory.
+*/
+export function resolveConfig({ configPath, overrides = {} } = {}) {
+  let config = resolvePaths(DEFAULT_CONFIG, REPO_ROOT);
+  if (configPath) config = mergeConfig(config, loadConfigFile(configPath));
+  config = mergeConfig(config, resolvePaths(overrides, process.cwd()));
+  return validateConfig(config);
+}
+
+export function saveConfig(config, dir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const outPath = path.join(dir, 'config.json');
+  fs.writeFileSync(outPath, JSON.stringify(config, null, 2));
+  return outPath;
+}
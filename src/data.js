@@ -0,0 +1,51 @@
+import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+
+/**
+CSV loading helpers shared by the train, predict and evaluate commands. Paths are plain filesystem paths
+(absolute after config resolution); tf.data.csv wants a file:// URL, which fileUrl builds.
+*/
+
+export function fileUrl(p) {
+  return 'file://' + path.resolve(p);
+}
+
+/**
+Reads a CSV into memory. Without labelColumn every element is a plain feature object; with labelColumn every element is
+{ xs, ys } where ys holds only the label column, matching what tf.data.csv yields for a column marked isLabel.
+*/
+export async function readCsvRows(csvPath, { labelColumn } = {}) {
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`CSV file not found: ${csvPath}`);
+  }
+  const options = { hasHeader: true };
+  if (labelColumn) options.columnConfigs = { [labelColumn]: { isLabel: true } };
+  return tf.data.csv(fileUrl(csvPath), options).toArray();
+}
+
+/**
+Streams a CSV as arrays of at most batchSize feature objects, parsed exactly as readCsvRows parses them. The file is read as
+the batches are consumed, so scoring a large file never holds all of its rows in memory.
+*/
+export async function* readCsvBatches(csvPath, batchSize) {
+  if (!fs.existsSync(csvPath)) {
+    throw new Error(`CSV file not found: ${csvPath}`);
+  }
+  const iterator = await tf.data.csv(fileUrl(csvPath), { hasHeader: true }).iterator();
+  let batch = [];
+  for (let item = await iterator.next(); !item.done; item = await iterator.next()) {
+    batch.push(item.value);
+    if (batch.length === batchSize) {
+      yield batch;
+      batch = [];
+    }
+  }
+  if (batch.length > 0) yield batch;
+}
+
+// Maps a label value to 0/1; tf.data.csv leaves True/False as strings
+export function encodeLabel(ys, labelColumn) {
+  const v = ys[labelColumn];
+  return (v === true || v === 'True' || v === 'true' || v === 1) ? 1 : 0;
+}
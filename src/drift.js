@@ -0,0 +1,248 @@
+import { RAW_COLUMNS, valueProblem, isMissing } from './schema.js';
+
+/**
+Checks the rows handed to predict before any of them is scored. They are compared with a profile of the training rows that
+train saves as profile.json (see artifacts.js). The model itself accepts almost anything. An unseen category is one-hot
+encoded as __MISSING__, a value of the wrong type is mean-imputed, and a network whose input width differs from
+preprocessing.json gets its inputs sliced or padded. Each of these fallbacks keeps a run going but quietly degrades the
+predictions, so createRowValidator reports them up front as issues:
+
+  missing-column    a training column is absent from the input
+  unknown-column    an input column the model never saw (the label column is allowed)
+  type              values that do not fit the column's type (see valueProblem in schema.js)
+  unseen-category   values of a categorical column that never occurred in training
+  missing-rate      the share of missing values rose by more than validation.maxMissingRateIncrease
+  psi               the population stability index of a numeric column over the training deciles is above
+                    validation.psiThreshold
+  ks                the Kolmogorov-Smirnov distance between the training and input distributions of a numeric column is
+                    above validation.ksThreshold
+
+Categorical columns are the string and boolean columns with at most MAX_CATEGORIES distinct training values. Identifier-like
+columns (PassengerId, Cabin, Name) have more than that and only get the type and missing-rate checks. Without a profile
+(artifacts trained before profiles existed) the columns are checked against RAW_COLUMNS for presence and type only.
+*/
+
+export const PROFILE_SCHEMA_VERSION = 1;
+
+const MAX_CATEGORIES = 50;
+const PSI_BINS = 10;
+const ECDF_POINTS = 50;
+// Floor for empty bins, which would make the PSI infinite
+const PSI_EPSILON = 1e-4;
+// Examples kept per column for type problems and unseen categories
+const MAX_EXAMPLES = 5;
+
+// Value at quantile q of sorted values (the lower neighbor, no interpolation)
+function quantile(sorted, q) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+// Share of the sorted values that are <= x
+function cdfAt(sorted, x) {
+  let lo = 0;
+  let hi = sorted.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (sorted[mid] <= x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo / sorted.length;
+}
+
+// Shares of values per bin: bin k holds edges[k - 1] < v <= edges[k], the last bin everything above the last edge
+function binShares(values, edges) {
+  const counts = new Array(edges.length + 1).fill(0);
+  values.forEach(v => {
+    let k = 0;
+    while (k < edges.length && v > edges[k]) k += 1;
+    counts[k] += 1;
+  });
+  return counts.map(c => c / values.length);
+}
+
+export function populationStabilityIndex(expected, actual) {
+  return expected.reduce((sum, e, k) => {
+    const p = Math.max(e, PSI_EPSILON);
+    const q = Math.max(actual[k], PSI_EPSILON);
+    return sum + (q - p) * Math.log(q / p);
+  }, 0);
+}
+
+function columnType(column, present) {
+  if (RAW_COLUMNS[column]) return RAW_COLUMNS[column];
+  return present.every(v => typeof v === 'number') ? 'number' : 'string';
+}
+
+function finiteSorted(values) {
+  return values.filter(v => typeof v === 'number' && Number.isFinite(v)).sort((a, b) => a - b);
+}
+
+/**
+Profiles raw training rows (feature objects as readCsvRows returns them, without the label). Numeric columns keep the decile
+edges and bin shares for the PSI and ECDF_POINTS points of the empirical CDF for the KS distance; categorical columns keep
+the share of every value.
+*/
+export function profileRows(rows) {
+  const columns = {};
+  const names = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  names.forEach(column => {
+    const present = rows.map(row => row[column]).filter(v => !isMissing(v));
+    const type = columnType(column, present);
+    const entry = { type, missingRate: rows.length > 0 ? 1 - present.length / rows.length : 0 };
+    if (type === 'number') {
+      const sorted = finiteSorted(present);
+      if (sorted.length > 0) {
+        const edges = [...new Set(Array.from({ length: PSI_BINS - 1 }, (_, k) => quantile(sorted, (k + 1) / PSI_BINS)))];
+        const points = [...new Set(Array.from({ length: ECDF_POINTS + 1 }, (_, k) => quantile(sorted, k / ECDF_POINTS)))];
+        Object.assign(entry, {
+          mean: sorted.reduce((a, b) => a + b, 0) / sorted.length,
+          min: sorted[0],
+          max: sorted[sorted.length - 1],
+          edges,
+          shares: binShares(sorted, edges),
+          ecdf: points.map(x => [x, cdfAt(sorted, x)])
+        });
+      }
+    } else {
+      const counts = {};
+      present.forEach(v => { counts[String(v)] = (counts[String(v)] || 0) + 1; });
+      const distinct = Object.keys(counts).length;
+      entry.distinct = distinct;
+      entry.categories = distinct <= MAX_CATEGORIES
+        ? Object.fromEntries(Object.entries(counts).map(([value, count]) => [value, count / present.length]))
+        : null;
+    }
+    columns[column] = entry;
+  });
+  return { schemaVersion: PROFILE_SCHEMA_VERSION, rows: rows.length, columns };
+}
+
+// Adds one to the count of key in a Map
+function count(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+// Total and most frequent entries of a Map of counts, as { count, examples }
+function summarizeCounts(counts) {
+  const sorted = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return {
+    count: sorted.reduce((sum, [, c]) => sum + c, 0),
+    examples: sorted.slice(0, MAX_EXAMPLES).map(([value, c]) => ({ value, rows: c }))
+  };
+}
+
+/**
+Accumulates the checks over rows fed in any number of batches, so a file can be validated while it is streamed. Call
+add(rows) for every batch and finish() once at the end. finish() returns { rows, profiled, columns, issues }: per-column
+statistics, and one { column, check, message } per problem found, with the thresholds in config.validation.
+*/
+export function createRowValidator(profile, config) {
+  const { labelColumn } = config;
+  const { maxMissingRateIncrease, psiThreshold, ksThreshold } = config.validation;
+  const expected = profile
+    ? profile.columns
+    : Object.fromEntries(Object.entries(RAW_COLUMNS).map(([column, type]) => [column, { type }]));
+  const inputColumns = new Set();
+  let rowCount = 0;
+  // Per expected column: missing values, type problems, unseen categories, and for numeric columns the bin counts, the
+  // number of values at or below each ECDF point, and their sum
+  const state = Object.fromEntries(Object.entries(expected).map(([column, trained]) => [column, {
+    missing: 0,
+    typeErrors: new Map(),
+    unseen: new Map(),
+    bins: trained.edges ? new Array(trained.edges.length + 1).fill(0) : null,
+    atOrBelow: trained.ecdf ? new Array(trained.ecdf.length + 1).fill(0) : null,
+    numbers: 0,
+    sum: 0
+  }]));
+
+  function add(rows) {
+    rowCount += rows.length;
+    rows.forEach(row => Object.keys(row).forEach(column => inputColumns.add(column)));
+    Object.entries(expected).forEach(([column, trained]) => {
+      const s = state[column];
+      rows.forEach(row => {
+        const v = row[column];
+        if (isMissing(v)) {
+          s.missing += 1;
+          return;
+        }
+        const problem = valueProblem(column, v, trained.type);
+        if (problem) count(s.typeErrors, problem);
+        if (trained.categories && !(String(v) in trained.categories)) count(s.unseen, String(v));
+        if (s.bins && typeof v === 'number' && Number.isFinite(v)) {
+          let k = 0;
+          while (k < trained.edges.length && v > trained.edges[k]) k += 1;
+          s.bins[k] += 1;
+          // First ECDF point at or above v; the value counts towards that point and every later one
+          let p = 0;
+          while (p < trained.ecdf.length && trained.ecdf[p][0] < v) p += 1;
+          s.atOrBelow[p] += 1;
+          s.numbers += 1;
+          s.sum += v;
+        }
+      });
+    });
+  }
+
+  function finish() {
+    const columns = {};
+    const issues = [];
+    const issue = (column, check, message) => issues.push({ column, check, message: `${column}: ${message}` });
+
+    Object.entries(expected).forEach(([column, trained]) => {
+      if (!inputColumns.has(column)) {
+        issue(column, 'missing-column', 'column is missing from the input (every value will be imputed)');
+        return;
+      }
+      const s = state[column];
+      const stats = { type: trained.type, missingRate: rowCount > 0 ? s.missing / rowCount : 0 };
+      if (profile) stats.trainingMissingRate = trained.missingRate;
+
+      stats.typeErrors = summarizeCounts(s.typeErrors);
+      if (stats.typeErrors.count > 0) {
+        issue(column, 'type', `${stats.typeErrors.count} value(s) of the wrong type, e.g. ${stats.typeErrors.examples[0].value}`);
+      }
+      if (profile && stats.missingRate - trained.missingRate > maxMissingRateIncrease) {
+        issue(column, 'missing-rate', `${(100 * stats.missingRate).toFixed(1)}% missing, ` +
+          `${(100 * trained.missingRate).toFixed(1)}% in training`);
+      }
+      if (trained.categories) {
+        stats.unseen = summarizeCounts(s.unseen);
+        if (stats.unseen.count > 0) {
+          issue(column, 'unseen-category', `${stats.unseen.count} value(s) never seen in training (` +
+            stats.unseen.examples.map(e => `${JSON.stringify(e.value)} × ${e.rows}`).join(', ') + ')');
+        }
+      }
+      if (s.bins && s.numbers > 0) {
+        stats.mean = s.sum / s.numbers;
+        stats.psi = populationStabilityIndex(trained.shares, s.bins.map(c => c / s.numbers));
+        let cumulative = 0;
+        stats.ks = Math.max(...trained.ecdf.map(([, cdf], p) => {
+          cumulative += s.atOrBelow[p];
+          return Math.abs(cumulative / s.numbers - cdf);
+        }));
+        if (stats.psi > psiThreshold) {
+          issue(column, 'psi', `PSI ${stats.psi.toFixed(3)} > ${psiThreshold} (mean ${stats.mean.toFixed(2)}, ` +
+            `${trained.mean.toFixed(2)} in training)`);
+        }
+        if (stats.ks > ksThreshold) issue(column, 'ks', `KS distance ${stats.ks.toFixed(3)} > ${ksThreshold}`);
+      }
+      columns[column] = stats;
+    });
+
+    [...inputColumns].filter(column => !expected[column] && column !== labelColumn).forEach(column => {
+      issue(column, 'unknown-column', 'column was not in the training data and is ignored');
+    });
+    return { rows: rowCount, profiled: Boolean(profile), columns, issues };
+  }
+
+  return { add, finish };
+}
+
+// Validates rows that are all in memory at once (see createRowValidator)
+export function validateRows(rows, profile, config) {
+  const validator = createRowValidator(profile, config);
+  validator.add(rows);
+  return validator.finish();
+}
@@ -0,0 +1,191 @@
+import fs from 'fs';
+import path from 'path';
+import { loadTrainingRows, trainAndEvaluate, fitWithHeldOut, formatMetrics } from './train.js';
+import { stratifiedKFold } from './validation.js';
+import { saveArtifacts, saveEnsembleManifest, saveProfile, ENSEMBLE_ENTRIES } from './artifacts.js';
+import { mergeConfig, validateConfig, saveConfig } from './config.js';
+import { resolveModelSpec, modelSpecErrors } from './model.js';
+import { fitCalibration, logLoss, accuracyAt } from './calibration.js';
+import { COMBINE_METHODS, combineProbabilities, learnWeights } from './combine.js';
+import { profileRows } from './drift.js';
+import { startRun, finishRun } from './runs.js';
+
+/**
+Training of model ensembles, configured by the `ensemble` section of the run config. Members differ by strategy:
+  seed           the same architecture (the `model` section) with a different seed per member (weights, dropout, shuffling)
+  architecture   members cycle through the model specs listed in ensemble.architectures (each merged over the `model` section),
+                 each with its own seed
+  fold           one member per stratified fold: member k is trained on every fold but k (ensemble.size folds)
+
+For the seed and architecture strategies every member is trained exactly like `train` trains a single model (hold-out split,
+or cross-validation and refit when training.folds >= 2), with the same split for every member. Their held-out predictions are
+therefore aligned row by row, which is what the combine weights are learned on and what the per-member and ensemble scores are
+measured on. With the fold strategy each row has a single out-of-fold prediction (from the one member that did not see it),
+so there is nothing to learn weights or a vote from: fold ensembles only combine by mean, and the reported ensemble score is
+that of the out-of-fold predictions. They are not calibrated either (method none, threshold 0.5): a calibration fitted on
+single-member out-of-fold predictions would be applied to the average of all members, whose scores are spread differently.
+
+The weights, the calibration and the ensemble scores all come from the same held-out rows. Scores at 0.5 of the mean and vote
+combinations are honest held-out estimates; those of the weighted combination are in-sample (metricsInSample in the
+manifest), as is the accuracy at every tuned threshold.
+
+Everything is written to config.paths.artifactsDir: members/<k>/ holds each member's preprocessing and model, and ensemble.json
+records the members, their scores and, for every combine method, the weights and the calibration fitted on the combined
+held-out predictions. predict and evaluate pick the ensemble up automatically (see scoring.js).
+*/
+
+export const DEFAULT_ENSEMBLE_CONFIG = {
+  strategy: 'seed',
+  size: 5,
+  architectures: [],
+  combine: 'mean'
+};
+
+const STRATEGIES = ['seed', 'architecture', 'fold'];
+
+export function resolveEnsembleConfig(ensemble = {}) {
+  return { ...DEFAULT_ENSEMBLE_CONFIG, ...ensemble };
+}
+
+// Returns a list of problems with the ensemble section of a config (after defaults are applied)
+export function ensembleConfigErrors(ensemble) {
+  const errors = [];
+  Object.keys(ensemble).forEach(key => {
+    if (!(key in DEFAULT_ENSEMBLE_CONFIG)) errors.push(`unknown key "ensemble.${key}"`);
+  });
+  if (!STRATEGIES.includes(ensemble.strategy)) errors.push(`ensemble.strategy must be one of ${STRATEGIES.join(', ')}`);
+  const minSize = ensemble.strategy === 'fold' ? 2 : 1;
+  if (!Number.isInteger(ensemble.size) || ensemble.size < minSize) {
+    errors.push(`ensemble.size must be an integer >= ${minSize}`);
+  }
+  if (!COMBINE_METHODS.includes(ensemble.combine)) {
+    errors.push(`ensemble.combine must be one of ${COMBINE_METHODS.join(', ')}`);
+  } else if (ensemble.strategy === 'fold' && ensemble.combine !== 'mean') {
+    errors.push('ensemble.combine must be mean for the fold strategy (each row has a single out-of-fold prediction)');
+  }
+  if (!Array.isArray(ensemble.architectures)) {
+    errors.push('ensemble.architectures must be a list of model specs');
+  } else {
+    if (ensemble.strategy === 'architecture' && ensemble.architectures.length === 0) {
+      errors.push('ensemble.architectures must list at least one model spec for the architecture strategy');
+    }
+    ensemble.architectures.forEach((spec, i) => {
+      modelSpecErrors(spec).forEach(e => errors.push(`ensemble.architectures[${i}]: ${e}`));
+    });
+  }
+  return errors;
+}
+
+// Config for member k: the base config with the member's model spec, seed and checkpoint directory
+function memberConfig(config, ensemble, k) {
+  const baseSeed = config.model.seed ?? config.training.seed;
+  const architecture = ensemble.strategy === 'architecture'
+    ? ensemble.architectures[k % ensemble.architectures.length]
+    : {};
+  const { checkpointDir } = config.paths;
+  return validateConfig(mergeConfig(config, {
+    model: { ...architecture, seed: baseSeed + k },
+    paths: { checkpointDir: checkpointDir === null ? null : path.join(checkpointDir, `member-${k + 1}`) }
+  }));
+}
+
+function scoreProbs(probs, labels) {
+  return { loss: logLoss(probs, labels), accuracy: accuracyAt(probs, labels, 0.5) };
+}
+
+/**
+Trains config.ensemble.size members, reports per-member and ensemble held-out scores and writes the ensemble artifacts,
+archived as a run with tracking.enabled (see runs.js). Returns the manifest that was saved.
+*/
+export async function trainEnsemble(baseConfig) {
+  // Already validated with the rest of the config (see validateConfig in config.js)
+  const ensemble = resolveEnsembleConfig(baseConfig.ensemble);
+  const { run, config } = startRun(baseConfig, 'ensemble');
+  const artifactsDir = config.paths.artifactsDir;
+  // Stale members of a previous, larger ensemble must not be picked up next to the new manifest
+  fs.rmSync(path.join(artifactsDir, 'members'), { recursive: true, force: true });
+
+  const { rows, labels, rawRows } = await loadTrainingRows(config);
+  console.log(`Loaded ${rows.length} labeled rows from ${config.paths.train}.`);
+
+  const members = [];
+  let memberProbs;
+  let heldOutLabels;
+
+  if (ensemble.strategy === 'fold') {
+    const folds = stratifiedKFold(labels, ensemble.size, config.training.seed);
+    const oofProbs = new Array(rows.length);
+    for (let k = 0; k < folds.length; k++) {
+      const mConfig = memberConfig(config, ensemble, k);
+      const { trainIndices, valIndices } = folds[k];
+      console.log(`Member ${k + 1}/${folds.length} (fold ${k + 1}): ${trainIndices.length} training rows, ${valIndices.length} validation rows`);
+      const result = await trainAndEvaluate(trainIndices.map(i => rows[i]), valIndices.map(i => rows[i]), mConfig);
+      valIndices.forEach((idx, j) => { oofProbs[idx] = result.heldOut.probs[j]; });
+      members.push(await saveMember(artifactsDir, k, result, mConfig, scoreProbs(result.heldOut.probs, result.heldOut.labels)));
+      result.model.dispose();
+    }
+    // A single out-of-fold prediction per row: combining treats it as one pseudo-member
+    memberProbs = [oofProbs];
+    heldOutLabels = labels;
+  } else {
+    memberProbs = [];
+    for (let k = 0; k < ensemble.size; k++) {
+      const mConfig = memberConfig(config, ensemble, k);
+      console.log(`Member ${k + 1}/${ensemble.size} (seed ${mConfig.model.seed})`);
+      const result = await fitWithHeldOut(rows, labels, mConfig);
+      memberProbs.push(result.heldOut.probs);
+      heldOutLabels = result.heldOut.labels;
+      members.push(await saveMember(artifactsDir, k, result, mConfig, scoreProbs(result.heldOut.probs, result.heldOut.labels)));
+      result.model.dispose();
+    }
+  }
+
+  console.log('Member held-out scores:');
+  members.forEach((m, k) => console.log(`  member ${k + 1}: ${formatMetrics(m.metrics)}`));
+
+  const combiners = {};
+  const isFold = ensemble.strategy === 'fold';
+  const calibrationConfig = isFold ? { method: 'none', tuneThreshold: false } : config.calibration;
+  if (isFold && (config.calibration.method !== 'none' || config.calibration.tuneThreshold)) {
+    console.warn('Warning: fold ensembles are saved without calibration or a tuned threshold (their out-of-fold predictions ' +
+      'come from single members, not from the average that is served); calibration settings are ignored.');
+  }
+  const methods = isFold ? ['mean'] : COMBINE_METHODS;
+  methods.forEach(method => {
+    const weights = method === 'weighted' ? learnWeights(memberProbs, heldOutLabels).weights : null;
+    const combined = combineProbabilities(memberProbs, method, weights);
+    const metrics = scoreProbs(combined, heldOutLabels);
+    const metricsInSample = method === 'weighted';
+    const calibration = fitCalibration(combined, heldOutLabels, calibrationConfig);
+    combiners[method] = { weights, metrics, metricsInSample, calibration };
+    const { accuracyAtThreshold } = calibration.fittedOn;
+    const tuned = calibrationConfig.tuneThreshold
+      ? `, accuracy ${accuracyAtThreshold.toFixed(4)} at tuned threshold ${calibration.threshold.toFixed(4)} (in-sample)`
+      : '';
+    console.log(`Ensemble (${method}): ${formatMetrics(metrics)}${metricsInSample ? ' (in-sample)' : ''}${tuned}` +
+      (weights ? `, weights [${weights.map(w => w.toFixed(3)).join(', ')}]` : ''));
+  });
+
+  const manifest = {
+    strategy: ensemble.strategy,
+    combine: ensemble.combine,
+    heldOutRows: heldOutLabels.length,
+    members,
+    combiners
+  };
+  saveEnsembleManifest(artifactsDir, manifest);
+  saveProfile(artifactsDir, profileRows(rawRows));
+  console.log('Saved run config to ' + saveConfig(config, artifactsDir));
+  finishRun(run, config, {
+    entries: ENSEMBLE_ENTRIES,
+    calibration: combiners[ensemble.combine].calibration,
+    hyperparameters: { ensemble }
+  });
+  return manifest;
+}
+
+async function saveMember(artifactsDir, k, result, mConfig, metrics) {
+  const dir = path.join('members', String(k));
+  await saveArtifacts(path.join(artifactsDir, dir), result);
+  return { dir, seed: mConfig.model.seed, model: resolveModelSpec(mConfig.model), metrics };
+}
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { readCsvRows, encodeLabel } from './data.js';
+import { loadScorer } from './scoring.js';
+import { artifactsDigest } from './artifacts.js';
+import { artifactsDirFor } from './runs.js';
+import { classificationMetrics, rocCurve, prCurve, segmentMetrics } from './metrics.js';
+import { renderHtmlReport } from './report.js';
+
+// The training file of the loaded artifacts, from the config.json saved next to them (config.paths.train without one)
+function trainingFile(artifactsDir, config) {
+  const savedPath = path.join(artifactsDir, 'config.json');
+  const saved = fs.existsSync(savedPath) ? JSON.parse(fs.readFileSync(savedPath, 'utf-8')) : null;
+  return saved?.paths?.train ?? config.paths.train;
+}
+
+/**
+Scores a saved model (config.paths.artifactsDir, or the run named by prediction.run) against a labeled CSV
+(config.paths.evaluate) with the calibrated probabilities and decision threshold predict would use. It prints a summary
+and writes report.json and report.html to config.paths.reportDir. The report holds the confusion matrix, precision,
+recall, F1, log-loss, ROC-AUC and PR-AUC (see metrics.js), the ROC and PR curves, and accuracy per value of every column
+in evaluation.segments. Evaluating on the file the model was trained on (the default paths.evaluate is data/train.csv)
+gives in-sample scores: that is warned about and recorded as inSample in the report.
+*/
+export async function evaluate(config) {
+  const { labelColumn } = config;
+  const { reportDir } = config.paths;
+  const artifactsDir = artifactsDirFor(config);
+
+  const inSample = path.resolve(config.paths.evaluate) === path.resolve(trainingFile(artifactsDir, config));
+  if (inSample) {
+    console.warn(`Warning: ${config.paths.evaluate} is the file the model was trained on, so these are in-sample scores, ` +
+      'not an estimate for new data. Pass a held-out labeled file with --data.');
+  }
+
+  const rows = await readCsvRows(config.paths.evaluate, { labelColumn });
+  if (rows.length === 0) throw new Error(`No labeled rows found in ${config.paths.evaluate}`);
+  const missingSegments = config.evaluation.segments.filter(column => !rows.some(({ xs }) => column in xs));
+  if (missingSegments.length > 0) {
+    throw new Error(`Segment columns not found in ${config.paths.evaluate}: ${missingSegments.join(', ')}`);
+  }
+  const labels = rows.map(({ ys }) => encodeLabel(ys, labelColumn));
+
+  const scorer = await loadScorer(artifactsDir, config);
+  const { threshold } = scorer;
+  let probs;
+  try {
+    probs = await scorer.score(rows.map(({ xs }) => xs));
+  } finally {
+    scorer.dispose();
+  }
+
+  const metrics = classificationMetrics(probs, labels, threshold);
+  const report = {
+    createdAt: new Date().toISOString(),
+    data: config.paths.evaluate,
+    inSample,
+    artifactsDir,
+    model: scorer.description,
+    modelVersion: artifactsDigest(artifactsDir),
+    metrics,
+    curves: { roc: rocCurve(probs, labels).points, pr: prCurve(probs, labels).points },
+    segments: Object.fromEntries(config.evaluation.segments.map(column => [
+      column,
+      segmentMetrics(rows.map(({ xs }) => xs[column]), probs, labels, threshold)
+    ]))
+  };
+
+  const f = v => (v === null ? 'n/a' : v.toFixed(4));
+  const m = metrics.confusionMatrix;
+  console.log(`Evaluated ${metrics.rows} rows from ${config.paths.evaluate} at threshold ${f(threshold)}: ` +
+    `loss=${f(metrics.logLoss)} accuracy=${f(metrics.accuracy)}`);
+  console.log(`  precision=${f(metrics.precision)} recall=${f(metrics.recall)} f1=${f(metrics.f1)} ` +
+    `roc_auc=${f(metrics.rocAuc)} pr_auc=${f(metrics.prAuc)}`);
+  console.log(`  confusion matrix: tp=${m.tp} fp=${m.fp} tn=${m.tn} fn=${m.fn}`);
+  Object.entries(report.segments).forEach(([column, segments]) => {
+    console.log(`  accuracy by ${column}: ` + segments.map(s => `${s.value}=${f(s.accuracy)} (${s.rows})`).join(', '));
+  });
+
+  fs.mkdirSync(reportDir, { recursive: true });
+  const jsonPath = path.join(reportDir, 'report.json');
+  const htmlPath = path.join(reportDir, 'report.html');
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2));
+  fs.writeFileSync(htmlPath, renderHtmlReport(report));
+  console.log(`Wrote ${jsonPath} and ${htmlPath}`);
+  return metrics;
+}
@@ -0,0 +1,167 @@
+/**
+Domain feature engineering for the Spaceship Titanic columns. It runs on raw CSV rows, after the configured imputation (see
+imputation.js) and before encoding, both in train.js and in prediction.js, so the derived columns are computed exactly the
+same way at training and inference time.
+
+The raw identifier-like columns carry structure that the generic one-hot path cannot see:
+  - Cabin is "deck/number/side" (e.g. "B/0/P"), so it is split into CabinDeck, CabinNumber and CabinSide.
+  - PassengerId is "gggg_pp" where gggg is the travel group, giving GroupId and GroupSize (passengers sharing the group).
+  - Name is "First Last", giving Surname and FamilySize (passengers sharing the surname).
+  - The five spending columns are summarized as TotalSpend, log1p-transformed spends and an AnySpend flag.
+Left as they are, Cabin, PassengerId and Name each become a vocabulary with one entry per passenger, so by default they are dropped
+from the model inputs once their parts have been extracted (PassengerId is still read from the raw row for the submission file).
+
+Every derived feature can be switched on or off through a feature config; the config used for training is stored in
+preprocessing.json so prediction rebuilds the same columns.
+*/
+
+export const SPEND_COLUMNS = ['RoomService', 'FoodCourt', 'ShoppingMall', 'Spa', 'VRDeck'];
+
+export const RAW_IDENTIFIER_COLUMNS = ['PassengerId', 'Cabin', 'Name'];
+
+// Suffix of the 0/1 "was missing" indicator features added by imputation (see imputation.js), e.g. AgeMissing
+export const MISSING_INDICATOR_SUFFIX = 'Missing';
+
+/**
+Feature switches. Surname is off by default: it is still a vocabulary of a couple of thousand tokens, while FamilySize already
+captures most of what it says. dropRawIdentifiers removes Cabin, PassengerId and Name from the model inputs.
+*/
+export const DEFAULT_FEATURE_CONFIG = {
+  cabinDeck: true,
+  cabinNumber: true,
+  cabinSide: true,
+  groupId: true,
+  groupSize: true,
+  surname: false,
+  familySize: true,
+  totalSpend: true,
+  logSpend: true,
+  anySpend: true,
+  dropRawIdentifiers: true
+};
+
+// Merges user switches over the defaults and rejects unknown keys so typos do not silently leave a feature on
+export function resolveFeatureConfig(config = {}) {
+  Object.keys(config).forEach(key => {
+    if (!(key in DEFAULT_FEATURE_CONFIG)) {
+      throw new Error(`Unknown feature switch "${key}". Known switches: ${Object.keys(DEFAULT_FEATURE_CONFIG).join(', ')}`);
+    }
+  });
+  return { ...DEFAULT_FEATURE_CONFIG, ...config };
+}
+
+function isMissing(v) {
+  return v === null || v === undefined || v === '';
+}
+
+function parseCabin(cabin) {
+  if (isMissing(cabin)) return { deck: undefined, number: undefined, side: undefined };
+  const [deck, number, side] = String(cabin).split('/');
+  const num = Number(number);
+  return {
+    deck: isMissing(deck) ? undefined : deck,
+    number: number !== undefined && number !== '' && Number.isFinite(num) ? num : undefined,
+    side: isMissing(side) ? undefined : side
+  };
+}
+
+// Travel group of a PassengerId ("gggg_pp" -> "gggg")
+export function groupOf(passengerId) {
+  if (isMissing(passengerId)) return undefined;
+  return String(passengerId).split('_')[0];
+}
+
+export function surnameOf(name) {
+  if (isMissing(name)) return undefined;
+  const parts = String(name).trim().split(/\s+/);
+  return parts.length > 1 ? parts[parts.length - 1] : undefined;
+}
+
+/**
+Builds the dataset-level context some features need: how many passengers share each travel group and each surname.
+It has to see all rows that are engineered together (the whole training file, or the whole file being scored),
+which is why it is a separate pass over raw rows rather than something derivable from a single row. To count over a file
+read in batches, pass the context returned for the earlier batches; it is updated in place.
+*/
+export function buildFeatureContext(rows, context = { groupSizes: {}, familySizes: {} }) {
+  const { groupSizes, familySizes } = context;
+  rows.forEach(xs => {
+    const group = groupOf(xs.PassengerId);
+    if (group !== undefined) groupSizes[group] = (groupSizes[group] || 0) + 1;
+    const surname = surnameOf(xs.Name);
+    if (surname !== undefined) familySizes[surname] = (familySizes[surname] || 0) + 1;
+  });
+  return context;
+}
+
+/**
+Returns a new row with the derived columns added (and, if configured, the raw identifier columns removed).
+Every enabled feature key is always present, with undefined for missing inputs, so all rows share the same key order
+and missing derived values flow into the regular imputation path (mean for numbers, __MISSING__ for strings).
+*/
+export function engineerFeatures(xs, config, context) {
+  const out = { ...xs };
+  const cabin = parseCabin(xs.Cabin);
+  if (config.cabinDeck) out.CabinDeck = cabin.deck;
+  if (config.cabinNumber) out.CabinNumber = cabin.number;
+  if (config.cabinSide) out.CabinSide = cabin.side;
+
+  const group = groupOf(xs.PassengerId);
+  if (config.groupId) {
+    const id = Number(group);
+    out.GroupId = group !== undefined && Number.isFinite(id) ? id : undefined;
+  }
+  if (config.groupSize) out.GroupSize = group !== undefined ? (context.groupSizes[group] || 1) : undefined;
+
+  const surname = surnameOf(xs.Name);
+  if (config.surname) out.Surname = surname;
+  if (config.familySize) out.FamilySize = surname !== undefined ? (context.familySizes[surname] || 1) : undefined;
+
+  // Missing spends count as zero for the total, unless every spend column is missing
+  const spends = SPEND_COLUMNS.map(col => xs[col]);
+  const knownSpends = spends.filter(v => typeof v === 'number' && Number.isFinite(v));
+  const total = knownSpends.length > 0 ? knownSpends.reduce((a, b) => a + b, 0) : undefined;
+  if (config.totalSpend) out.TotalSpend = total;
+  if (config.logSpend) {
+    SPEND_COLUMNS.forEach((col, i) => {
+      const v = spends[i];
+      out[`Log${col}`] = typeof v === 'number' && Number.isFinite(v) ? Math.log1p(Math.max(v, 0)) : undefined;
+    });
+    out.LogTotalSpend = total !== undefined ? Math.log1p(Math.max(total, 0)) : undefined;
+  }
+  if (config.anySpend) out.AnySpend = total !== undefined ? (total > 0 ? 1 : 0) : undefined;
+
+  if (config.dropRawIdentifiers) RAW_IDENTIFIER_COLUMNS.forEach(col => delete out[col]);
+  return out;
+}
+
+// Convenience wrapper: builds the context over all rows, then engineers each of them
+export function engineerRows(rows, config) {
+  const context = buildFeatureContext(rows);
+  return rows.map(xs => engineerFeatures(xs, config, context));
+}
+
+// Derived features and the raw columns each one is computed from
+const DERIVED_SOURCES = {
+  CabinDeck: ['Cabin'],
+  CabinNumber: ['Cabin'],
+  CabinSide: ['Cabin'],
+  GroupId: ['PassengerId'],
+  GroupSize: ['PassengerId'],
+  Surname: ['Name'],
+  FamilySize: ['Name'],
+  ...Object.fromEntries(SPEND_COLUMNS.map(col => [`Log${col}`, [col]])),
+  TotalSpend: SPEND_COLUMNS,
+  LogTotalSpend: SPEND_COLUMNS,
+  AnySpend: SPEND_COLUMNS
+};
+
+/**
+Maps a model feature back to the CSV columns it is computed from, so per-feature numbers (importance) can be reported per
+original column. Raw columns map to themselves and missingness indicators to their column. TotalSpend, LogTotalSpend and
+AnySpend are computed from all five spend columns and belong to each of them.
+*/
+export function sourceColumns(feature) {
+  if (DERIVED_SOURCES[feature]) return DERIVED_SOURCES[feature];
+  return [feature.endsWith(MISSING_INDICATOR_SUFFIX) ? feature.slice(0, -MISSING_INDICATOR_SUFFIX.length) : feature];
+}
@@ -0,0 +1,145 @@
+import { createRng } from './validation.js';
+
+/**
+Gradient-boosted decision trees for binary classification on the flat preprocessed feature vector (model.type 'gbdt').
+Trees are fitted one after another on the gradient and hessian of the log-loss (second-order boosting as in XGBoost):
+a leaf predicts -G / (H + l2) for the sums G and H of its rows, and a split is kept when it increases
+G_L² / (H_L + l2) + G_R² / (H_R + l2) - G² / (H + l2), leaves at least minSamplesLeaf rows on each side, and the tree is
+shallower than maxDepth. Each tree's output is shrunk by learningRate before it is added to the score.
+
+Split candidates come from a histogram per feature: values are bucketed once into at most `bins` quantile bins, so finding the
+best split of a node costs one pass over its rows. Split thresholds are stored as raw feature values (go left when x <= threshold),
+so predicting needs no binning. With subsample < 1 every tree is fitted on a seeded random fraction of the rows.
+
+The fitted model is plain JSON ({ baseScore, learningRate, trees }) and is saved as the model's learner.json (see learners.js).
+*/
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+// Ascending split thresholds for one feature column: midpoints between distinct values, or quantiles when there are too many
+function binEdges(values, bins) {
+  const sorted = Float64Array.from(values).sort();
+  const distinct = [];
+  sorted.forEach(v => { if (distinct.length === 0 || distinct[distinct.length - 1] !== v) distinct.push(v); });
+  if (distinct.length <= bins) {
+    return distinct.slice(1).map((v, k) => (distinct[k] + v) / 2);
+  }
+  const edges = [];
+  for (let b = 1; b < bins; b++) {
+    const q = sorted[Math.floor((b * sorted.length) / bins)];
+    if (edges.length === 0 || edges[edges.length - 1] < q) edges.push(q);
+  }
+  return edges;
+}
+
+// Index of the first edge >= value, or edges.length when value is above every edge
+function binIndex(edges, value) {
+  let lo = 0;
+  let hi = edges.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (edges[mid] < value) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+function predictTree(node, x) {
+  while (node.value === undefined) node = x[node.feature] <= node.threshold ? node.left : node.right;
+  return node.value;
+}
+
+/**
+Fits the ensemble on rows X (arrays of numbers) and 0/1 labels y. Options are the model spec's gbdt block (see model.js)
+plus the seed for row subsampling.
+*/
+export function fitGbdt(X, y, { trees = 100, maxDepth = 3, learningRate = 0.1, minSamplesLeaf = 20, l2 = 1, subsample = 1, bins = 64, seed = 42 } = {}) {
+  const n = X.length;
+  const d = n > 0 ? X[0].length : 0;
+  const edges = [];
+  const binned = [];
+  for (let j = 0; j < d; j++) {
+    const column = X.map(x => x[j]);
+    edges.push(binEdges(column, bins));
+    binned.push(Uint16Array.from(column, v => binIndex(edges[j], v)));
+  }
+
+  const positives = y.reduce((a, b) => a + b, 0);
+  const prior = Math.min(Math.max(positives / n, 1e-6), 1 - 1e-6);
+  const baseScore = Math.log(prior / (1 - prior));
+  const scores = new Float64Array(n).fill(baseScore);
+  const grad = new Float64Array(n);
+  const hess = new Float64Array(n);
+  const rng = createRng(seed);
+
+  const leafValue = (G, H) => -G / (H + l2);
+  const gainTerm = (G, H) => (G * G) / (H + l2);
+
+  function buildNode(rows, depth) {
+    let G = 0;
+    let H = 0;
+    rows.forEach(i => { G += grad[i]; H += hess[i]; });
+    if (depth >= maxDepth || rows.length < 2 * minSamplesLeaf) return { value: leafValue(G, H) };
+
+    let best = null;
+    for (let j = 0; j < d; j++) {
+      const size = edges[j].length + 1;
+      if (size < 2) continue;
+      const hG = new Float64Array(size);
+      const hH = new Float64Array(size);
+      const hC = new Uint32Array(size);
+      const column = binned[j];
+      rows.forEach(i => {
+        const b = column[i];
+        hG[b] += grad[i];
+        hH[b] += hess[i];
+        hC[b] += 1;
+      });
+      let gl = 0, hl = 0, cl = 0;
+      for (let b = 0; b < size - 1; b++) {
+        gl += hG[b];
+        hl += hH[b];
+        cl += hC[b];
+        if (cl < minSamplesLeaf) continue;
+        if (rows.length - cl < minSamplesLeaf) break;
+        const gain = gainTerm(gl, hl) + gainTerm(G - gl, H - hl) - gainTerm(G, H);
+        if (gain > 1e-12 && (!best || gain > best.gain)) best = { gain, feature: j, bin: b };
+      }
+    }
+    if (!best) return { value: leafValue(G, H) };
+
+    const left = [];
+    const right = [];
+    rows.forEach(i => (binned[best.feature][i] <= best.bin ? left : right).push(i));
+    return {
+      feature: best.feature,
+      threshold: edges[best.feature][best.bin],
+      left: buildNode(left, depth + 1),
+      right: buildNode(right, depth + 1)
+    };
+  }
+
+  const fitted = [];
+  const allRows = Array.from({ length: n }, (_, i) => i);
+  for (let t = 0; t < trees; t++) {
+    for (let i = 0; i < n; i++) {
+      const p = sigmoid(scores[i]);
+      grad[i] = p - y[i];
+      hess[i] = Math.max(p * (1 - p), 1e-12);
+    }
+    const rows = subsample < 1 ? allRows.filter(() => rng() < subsample) : allRows;
+    const tree = buildNode(rows, 0);
+    fitted.push(tree);
+    for (let i = 0; i < n; i++) scores[i] += learningRate * predictTree(tree, X[i]);
+  }
+  return { baseScore, learningRate, trees: fitted };
+}
+
+// Probability of the positive class for one feature vector
+export function predictGbdt({ baseScore, learningRate, trees }, x) {
+  let score = baseScore;
+  trees.forEach(tree => { score += learningRate * predictTree(tree, x); });
+  return sigmoid(score);
+}
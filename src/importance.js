@@ -0,0 +1,168 @@
+import { sourceColumns } from './features.js';
+import { createRng, shuffleInPlace, meanAndStd } from './validation.js';
+import { logLoss, accuracyAt } from './calibration.js';
+
+/**
+Explaining what drives a model, on two levels.
+
+Permutation importance (global, computed by train on held-out rows): the rows are encoded once into transform() vectors. Then,
+for one feature at a time, that feature's slice of every vector is shuffled across rows and the model is scored again. A
+numeric feature is one slot (numericIndices); a categorical feature is its whole one-hot block (oneHotOffsets), which moves as
+a unit so the permuted vectors stay valid one-hot encodings. Importance is the increase in log-loss and the drop in accuracy
+at 0.5, averaged over `repeats` shuffles. Features are also grouped back to the CSV columns they were derived from
+(see sourceColumns in features.js). For example, CabinDeck, CabinNumber and CabinSide are shuffled together as Cabin, with
+the same row permutation, so each column's number says how much the model loses without everything derived from that column.
+A feature computed from several columns (TotalSpend from the five spend columns) is shuffled with each of them, so column
+importances overlap and do not add up; the result lists these features under sharedFeatures.
+
+Occlusion attributions (per passenger, written by predict): each raw CSV column is blanked in turn, for every row, and the rows
+are scored again through the normal pipeline. A blank column is imputed like any other missing value. A passenger's
+attribution for a column is their probability minus their probability without that column. Positive values mean the column
+pushed the prediction towards True. This works on any scorer, ensembles included.
+*/
+
+// Vector positions of every model feature: one slot per numeric feature, the one-hot block of every categorical feature
+export function featureSlices(preprocessor) {
+  const slices = {};
+  preprocessor.numericIndices.forEach((colIdx, pos) => { slices[preprocessor.featureNames[colIdx]] = [pos]; });
+  preprocessor.stringIndices.forEach(colIdx => {
+    const name = preprocessor.featureNames[colIdx];
+    const { offset, size } = preprocessor.oneHotOffsets[name];
+    slices[name] = Array.from({ length: size }, (_, k) => offset + k);
+  });
+  return slices;
+}
+
+// Model features grouped by the CSV columns they come from; a feature of several columns is in each of their groups
+export function columnGroups(preprocessor) {
+  const groups = {};
+  preprocessor.featureNames.forEach(feature => {
+    sourceColumns(feature).forEach(column => { (groups[column] = groups[column] || []).push(feature); });
+  });
+  return groups;
+}
+
+// Features that belong to more than one column group, with those columns
+function sharedFeatures(preprocessor) {
+  return Object.fromEntries(preprocessor.featureNames
+    .map(feature => [feature, sourceColumns(feature)])
+    .filter(([, columns]) => columns.length > 1));
+}
+
+function summarize(name, increases, drops, extra = {}) {
+  const logLossIncrease = meanAndStd(increases);
+  const accuracyDrop = meanAndStd(drops);
+  return {
+    name,
+    ...extra,
+    logLossIncrease: logLossIncrease.mean,
+    logLossIncreaseStd: logLossIncrease.std,
+    accuracyDrop: accuracyDrop.mean,
+    accuracyDropStd: accuracyDrop.std
+  };
+}
+
+const byImportance = (a, b) => b.logLossIncrease - a.logLossIncrease;
+
+/**
+Permutation importance of a learner (see learners.js) on held-out feature rows (engineered feature objects) and their 0/1 labels.
+Returns { rows, repeats, baseline: { logLoss, accuracy }, features: [...], columns: [...], sharedFeatures }, both lists sorted
+by log-loss increase, most important first.
+*/
+export async function permutationImportance(model, preprocessor, rows, labels, { repeats = 3, seed = 42 } = {}) {
+  const layout = model.inputLayout(preprocessor);
+  const vectors = rows.map(row => preprocessor.transform(row));
+  const scoreVectors = async vecs => {
+    const probs = await model.predict(vecs.map(vec => preprocessor.inputsFromVector(vec, layout)));
+    return { logLoss: logLoss(probs, labels), accuracy: accuracyAt(probs, labels, 0.5) };
+  };
+  const baseline = await scoreVectors(vectors);
+  const slices = featureSlices(preprocessor);
+
+  // Shuffles the given vector positions jointly (one row permutation for all of them) and reports the metric changes
+  const permute = async positions => {
+    const increases = [];
+    const drops = [];
+    for (let r = 0; r < repeats; r++) {
+      const order = rows.map((_, i) => i);
+      shuffleInPlace(order, createRng(seed + r));
+      const permuted = vectors.map((vec, i) => {
+        const copy = vec.slice();
+        positions.forEach(pos => { copy[pos] = vectors[order[i]][pos]; });
+        return copy;
+      });
+      const scored = await scoreVectors(permuted);
+      increases.push(scored.logLoss - baseline.logLoss);
+      drops.push(baseline.accuracy - scored.accuracy);
+    }
+    return { increases, drops };
+  };
+
+  const byFeature = new Map();
+  for (const feature of preprocessor.featureNames) byFeature.set(feature, await permute(slices[feature]));
+  const features = [...byFeature.entries()].map(([feature, { increases, drops }]) =>
+    summarize(feature, increases, drops, { columns: sourceColumns(feature) }));
+
+  const columns = [];
+  for (const [column, members] of Object.entries(columnGroups(preprocessor))) {
+    // A column with a single feature was already permuted exactly that way above
+    const { increases, drops } = members.length === 1
+      ? byFeature.get(members[0])
+      : await permute(members.flatMap(feature => slices[feature]));
+    columns.push(summarize(column, increases, drops, { features: members }));
+  }
+  return {
+    rows: rows.length,
+    repeats,
+    baseline,
+    features: features.sort(byImportance),
+    columns: columns.sort(byImportance),
+    sharedFeatures: sharedFeatures(preprocessor)
+  };
+}
+
+/**
+Averages importance results of several models (the folds of a cross-validation) feature by feature and column by column.
+The std fields become the spread across results.
+*/
+export function averageImportance(results) {
+  const average = key => {
+    const byName = new Map();
+    results.forEach(result => result[key].forEach(entry => {
+      if (!byName.has(entry.name)) byName.set(entry.name, []);
+      byName.get(entry.name).push(entry);
+    }));
+    return [...byName.entries()].map(([name, entries]) => {
+      const { columns, features } = entries[0];
+      const extra = key === 'features' ? { columns } : { features };
+      return summarize(name, entries.map(e => e.logLossIncrease), entries.map(e => e.accuracyDrop), extra);
+    }).sort(byImportance);
+  };
+  return {
+    rows: results.reduce((sum, r) => sum + r.rows, 0),
+    repeats: results[0].repeats,
+    folds: results.length,
+    baseline: {
+      logLoss: meanAndStd(results.map(r => r.baseline.logLoss)).mean,
+      accuracy: meanAndStd(results.map(r => r.baseline.accuracy)).mean
+    },
+    features: average('features'),
+    columns: average('columns'),
+    sharedFeatures: Object.assign({}, ...results.map(r => r.sharedFeatures))
+  };
+}
+
+/**
+Occlusion attributions for raw rows scored by a scorer (see scoring.js): for every column in `columns`, the calibrated
+probability with all columns minus the probability with that column blanked. context is passed on to scorer.score.
+Returns { probs, attributions } where attributions[i][column] belongs to row i.
+*/
+export async function occlusionAttributions(scorer, rawRows, columns, context = null) {
+  const probs = await scorer.score(rawRows, context);
+  const attributions = rawRows.map(() => ({}));
+  for (const column of columns) {
+    const occluded = await scorer.score(rawRows.map(row => ({ ...row, [column]: undefined })), context);
+    occluded.forEach((p, i) => { attributions[i][column] = probs[i] - p; });
+  }
+  return { probs, attributions };
+}
@@ -0,0 +1,333 @@
+import { RAW_COLUMNS, isMissing } from './schema.js';
+import { groupOf, surnameOf, MISSING_INDICATOR_SUFFIX } from './features.js';
+import { createRng, shuffleInPlace } from './validation.js';
+
+/**
+Per-column imputation of missing raw values, applied before feature engineering so derived features (TotalSpend, CabinDeck,
+...) see the imputed values. Columns without rules keep the preprocessing defaults: the training mean for numbers and the
+__MISSING__ bucket for strings (see preprocessing.js).
+
+The `imputation` section of the config lists rules per raw column, either one rule or a list of them:
+  mean, median   the training mean or median of the column (number columns only)
+  mode           its most frequent training value
+  constant       a fixed `value`
+  group          the mean (numbers) or most frequent value (otherwise) of the passengers sharing the row's `key`: 'group'
+                 (the PassengerId travel group, the default), 'surname', or another raw column such as Cabin. The values
+                 come from the file being imputed, like group sizes in features.js, so test passengers are imputed from
+                 their own group
+  knn            the mean or most frequent value among the knn.k training rows nearest to the row, measured on the
+                 standardized knn.features (numeric and boolean columns) the two rows both have
+A rule may carry `when: { column: value, ... }` and then only applies to rows matching it, checked against the row as
+imputed by the columns listed before. Rules are tried in order until one yields a value, so a group rule can fall back to
+the mode when no group mate has the value. Every column in `indicators` gets a 0/1 <column>Missing feature that records
+whether the raw value was missing.
+
+fitImputation turns the config into the fitted state that the Preprocessor carries in preprocessing.json: the mean, median
+and mode values of the training rows and, for knn, a seeded sample of at most knn.maxReference training rows.
+*/
+
+export const IMPUTATION_STRATEGIES = ['mean', 'median', 'mode', 'constant', 'group', 'knn'];
+
+export const DEFAULT_IMPUTATION_CONFIG = {
+  indicators: [],
+  columns: {},
+  knn: {
+    k: 5,
+    features: ['Age', 'RoomService', 'FoodCourt', 'ShoppingMall', 'Spa', 'VRDeck', 'CryoSleep', 'VIP'],
+    maxReference: 2000
+  }
+};
+
+const GROUP_KEYS = ['group', 'surname'];
+const RULE_KEYS = ['strategy', 'value', 'key', 'when'];
+
+const rulesOf = rules => (Array.isArray(rules) ? rules : [rules]);
+
+// Fills a partial imputation config with defaults; `knn` is merged key by key
+export function resolveImputationConfig(config = {}) {
+  return {
+    ...DEFAULT_IMPUTATION_CONFIG,
+    ...config,
+    knn: { ...DEFAULT_IMPUTATION_CONFIG.knn, ...(config.knn || {}) }
+  };
+}
+
+/**
+Returns a list of human-readable problems with a (partial) imputation config; an empty list means it is valid. Used by the
+config validation, like modelSpecErrors in model.js.
+*/
+export function imputationConfigErrors(partial) {
+  const errors = [];
+  Object.keys(partial).forEach(key => {
+    if (!(key in DEFAULT_IMPUTATION_CONFIG)) errors.push(`unknown key "imputation.${key}"`);
+  });
+  const config = resolveImputationConfig(partial);
+  const isColumn = c => typeof c === 'string' && c in RAW_COLUMNS;
+  const columnList = `one of ${Object.keys(RAW_COLUMNS).join(', ')}`;
+
+  if (!Array.isArray(config.indicators) || !config.indicators.every(isColumn)) {
+    errors.push(`imputation.indicators must be a list of raw columns (${columnList})`);
+  }
+  if (config.columns === null || typeof config.columns !== 'object' || Array.isArray(config.columns)) {
+    errors.push('imputation.columns must be an object of rules per column');
+  } else {
+    Object.entries(config.columns).forEach(([column, rules]) => {
+      if (!isColumn(column)) {
+        errors.push(`imputation.columns.${column}: unknown column, must be ${columnList}`);
+        return;
+      }
+      const type = RAW_COLUMNS[column];
+      rulesOf(rules).forEach((rule, i) => {
+        const where = Array.isArray(rules) ? `imputation.columns.${column}[${i}]` : `imputation.columns.${column}`;
+        if (rule === null || typeof rule !== 'object' || Array.isArray(rule)) {
+          errors.push(`${where} must be a rule like { strategy: median }`);
+          return;
+        }
+        Object.keys(rule).forEach(key => {
+          if (!RULE_KEYS.includes(key)) errors.push(`unknown key "${where}.${key}"`);
+        });
+        if (!IMPUTATION_STRATEGIES.includes(rule.strategy)) {
+          errors.push(`${where}.strategy must be one of ${IMPUTATION_STRATEGIES.join(', ')}`);
+        } else if ((rule.strategy === 'mean' || rule.strategy === 'median') && type !== 'number') {
+          errors.push(`${where}: ${rule.strategy} only applies to number columns; ${column} is a ${type} column`);
+        }
+        if (rule.strategy === 'constant') {
+          const valid = type === 'number' ? typeof rule.value === 'number' && Number.isFinite(rule.value)
+            : type === 'boolean' ? typeof rule.value === 'boolean' || /^(true|false)$/i.test(String(rule.value))
+              : typeof rule.value === 'string' && rule.value !== '';
+          if (!valid) errors.push(`${where}.value must be a ${type} for the constant strategy`);
+        } else if (rule.value !== undefined) {
+          errors.push(`${where}.value only applies to the constant strategy`);
+        }
+        if (rule.key !== undefined && rule.strategy !== 'group') errors.push(`${where}.key only applies to the group strategy`);
+        const validKey = GROUP_KEYS.includes(rule.key) || (isColumn(rule.key) && rule.key !== column);
+        if (rule.strategy === 'group' && rule.key !== undefined && !validKey) {
+          errors.push(`${where}.key must be group, surname or another raw column`);
+        }
+        if (rule.when !== undefined) {
+          if (rule.when === null || typeof rule.when !== 'object' || Array.isArray(rule.when)) {
+            errors.push(`${where}.when must be an object like { CryoSleep: true }`);
+          } else {
+            Object.entries(rule.when).forEach(([c, v]) => {
+              if (!isColumn(c)) errors.push(`${where}.when.${c}: unknown column`);
+              else if (v === null || typeof v === 'object') errors.push(`${where}.when.${c} must be a single value`);
+            });
+          }
+        }
+      });
+    });
+  }
+
+  const { k, features, maxReference } = config.knn;
+  Object.keys(config.knn).forEach(key => {
+    if (!(key in DEFAULT_IMPUTATION_CONFIG.knn)) errors.push(`unknown key "imputation.knn.${key}"`);
+  });
+  if (!Number.isInteger(k) || k <= 0) errors.push('imputation.knn.k must be a positive integer');
+  if (!Number.isInteger(maxReference) || maxReference <= 0) errors.push('imputation.knn.maxReference must be a positive integer');
+  if (!Array.isArray(features) || features.length === 0 || !features.every(f => isColumn(f) && RAW_COLUMNS[f] !== 'string')) {
+    errors.push('imputation.knn.features must be a non-empty list of number or boolean raw columns');
+  }
+  return errors;
+}
+
+// Booleans are compared and stored the way readCsvRows yields them: the strings 'True' and 'False'
+function normalizeValue(column, v) {
+  if (RAW_COLUMNS[column] === 'boolean' && !isMissing(v)) return /^true$/i.test(String(v)) ? 'True' : 'False';
+  return v;
+}
+
+// A numeric or boolean value as a number (True = 1, False = 0), undefined when missing or not a number
+function toNumber(v) {
+  if (typeof v === 'number') return Number.isFinite(v) ? v : undefined;
+  if (typeof v === 'string' && /^(true|false)$/i.test(v)) return /^true$/i.test(v) ? 1 : 0;
+  return undefined;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Most frequent entry of a Map of counts; ties go to the value that sorts first, so the result does not depend on row order
+function mostFrequent(counts) {
+  let best = null;
+  counts.forEach((count, value) => {
+    if (best === null || count > best.count || (count === best.count && String(value) < String(best.value))) best = { value, count };
+  });
+  return best ? best.value : null;
+}
+
+function countValues(values) {
+  const counts = new Map();
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+  return counts;
+}
+
+// The value of a group key for a row: its travel group, its surname or the value of a raw column
+function keyOf(key, xs) {
+  if (key === 'group') return groupOf(xs.PassengerId);
+  if (key === 'surname') return surnameOf(xs.Name);
+  return isMissing(xs[key]) ? undefined : String(xs[key]);
+}
+
+function fitKnn(rows, { k, features, maxReference }, columns, seed) {
+  const stats = features.map(f => {
+    const values = rows.map(row => toNumber(row[f])).filter(v => v !== undefined);
+    const m = mean(values) ?? 0;
+    const std = values.length > 0 ? Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / values.length) : 0;
+    return { mean: m, std: std > 0 ? std : 1 };
+  });
+  const sample = rows.length > maxReference ? shuffleInPlace(rows.slice(), createRng(seed)).slice(0, maxReference) : rows;
+  return {
+    k,
+    features,
+    means: stats.map(s => s.mean),
+    stds: stats.map(s => s.std),
+    reference: sample.map(row => ({
+      point: features.map((f, i) => {
+        const v = toNumber(row[f]);
+        return v === undefined ? null : (v - stats[i].mean) / stats[i].std;
+      }),
+      values: Object.fromEntries(columns.map(c => [c, isMissing(row[c]) ? null : normalizeValue(c, row[c])]))
+    }))
+  };
+}
+
+/**
+Fits an imputation config on raw training rows (feature objects as readCsvRows returns them). Returns null when the config
+imputes nothing and adds no indicators, so such a run preprocesses exactly as before imputation was configurable. seed picks
+the knn reference sample.
+*/
+export function fitImputation(rows, config, seed) {
+  const { indicators, columns, knn } = resolveImputationConfig(config);
+  if (indicators.length === 0 && Object.keys(columns).length === 0) return null;
+  const knnColumns = [];
+  const fitted = {};
+  Object.entries(columns).forEach(([column, rules]) => {
+    const present = rows.map(row => row[column]).filter(v => !isMissing(v)).map(v => normalizeValue(column, v));
+    fitted[column] = rulesOf(rules).map(({ strategy, value, key = 'group', when = null }) => {
+      const rule = {
+        strategy,
+        when: when && Object.fromEntries(Object.entries(when).map(([c, v]) => [c, normalizeValue(c, v)]))
+      };
+      switch (strategy) {
+        case 'mean': return { ...rule, value: mean(present) };
+        case 'median': return { ...rule, value: median(present) };
+        case 'mode': return { ...rule, value: mostFrequent(countValues(present)) };
+        case 'constant': return { ...rule, value: normalizeValue(column, value) };
+        case 'group': return { ...rule, key };
+        default:
+          if (!knnColumns.includes(column)) knnColumns.push(column);
+          return rule;
+      }
+    });
+  });
+  return {
+    indicators,
+    columns: fitted,
+    knn: knnColumns.length > 0 ? fitKnn(rows, knn, knnColumns, seed) : null
+  };
+}
+
+// The { key, column } pairs whose group values imputing with state needs (see buildImputationContext)
+export function groupNeeds(state) {
+  if (!state) return [];
+  return Object.entries(state.columns).flatMap(([column, rules]) =>
+    rules.filter(rule => rule.strategy === 'group').map(({ key }) => ({ key, column })));
+}
+
+/**
+Collects the values group rules read: for every { key, column } in needs and every value of the key, the sum and count
+(number columns) or the value counts (other columns) of the column over rows. Like buildFeatureContext in features.js it
+adds to context in place, so a file can be collected batch by batch, and returns context.
+*/
+export function buildImputationContext(rows, needs, context) {
+  const groups = context.groupValues = context.groupValues || {};
+  rows.forEach(xs => needs.forEach(({ key, column }) => {
+    const v = xs[column];
+    const keyValue = keyOf(key, xs);
+    if (isMissing(v) || keyValue === undefined) return;
+    const byKey = groups[key] = groups[key] || {};
+    const byColumn = byKey[keyValue] = byKey[keyValue] || {};
+    if (RAW_COLUMNS[column] === 'number') {
+      const entry = byColumn[column] = byColumn[column] || { sum: 0, count: 0 };
+      const num = toNumber(v);
+      if (num === undefined) return;
+      entry.sum += num;
+      entry.count += 1;
+    } else {
+      const counts = byColumn[column] = byColumn[column] || {};
+      const value = normalizeValue(column, v);
+      counts[value] = (counts[value] || 0) + 1;
+    }
+  }));
+  return context;
+}
+
+function groupValue(rule, column, xs, context) {
+  const keyValue = keyOf(rule.key, xs);
+  const entry = keyValue === undefined ? undefined : context.groupValues?.[rule.key]?.[keyValue]?.[column];
+  if (!entry) return null;
+  if (RAW_COLUMNS[column] === 'number') return entry.count > 0 ? entry.sum / entry.count : null;
+  return mostFrequent(new Map(Object.entries(entry)));
+}
+
+function knnValue(column, xs, knn) {
+  const point = knn.features.map((f, i) => {
+    const v = toNumber(xs[f]);
+    return v === undefined ? null : (v - knn.means[i]) / knn.stds[i];
+  });
+  const neighbors = [];
+  knn.reference.forEach(ref => {
+    const value = ref.values[column];
+    if (value === null) return;
+    let sum = 0;
+    let shared = 0;
+    point.forEach((p, i) => {
+      if (p === null || ref.point[i] === null) return;
+      sum += (p - ref.point[i]) ** 2;
+      shared += 1;
+    });
+    if (shared > 0) neighbors.push({ distance: sum / shared, value });
+  });
+  if (neighbors.length === 0) return null;
+  const nearest = neighbors.sort((a, b) => a.distance - b.distance).slice(0, knn.k).map(n => n.value);
+  return RAW_COLUMNS[column] === 'number' ? mean(nearest) : mostFrequent(countValues(nearest));
+}
+
+function ruleValue(rule, column, xs, context, knn) {
+  switch (rule.strategy) {
+    case 'group': return groupValue(rule, column, xs, context);
+    case 'knn': return knnValue(column, xs, knn);
+    default: return rule.value;
+  }
+}
+
+const matches = (row, when) => Object.entries(when).every(([c, v]) => normalizeValue(c, row[c]) === v);
+
+/**
+Returns a copy of raw row xs with its missing values imputed by a fitted state (see fitImputation) and its missingness
+indicators added. context holds the group values of the rows imputed together (see buildImputationContext).
+*/
+export function imputeRow(xs, state, context) {
+  const out = { ...xs };
+  Object.entries(state.columns).forEach(([column, rules]) => {
+    if (!isMissing(xs[column])) return;
+    for (const rule of rules) {
+      if (rule.when && !matches(out, rule.when)) continue;
+      const value = ruleValue(rule, column, xs, context, state.knn);
+      if (value !== null && value !== undefined) {
+        out[column] = value;
+        break;
+      }
+    }
+  });
+  state.indicators.forEach(column => { out[`${column}${MISSING_INDICATOR_SUFFIX}`] = isMissing(xs[column]) ? 1 : 0; });
+  return out;
+}
@@ -0,0 +1,150 @@
+import * as tf from '@tensorflow/tfjs-node';
+import fs from 'fs';
+import path from 'path';
+import { fileUrl } from './data.js';
+import { fitLogistic, predictLogistic } from './linear.js';
+import { fitGbdt, predictGbdt } from './gbdt.js';
+
+/**
+Common interface over the model types selected by model.type (see model.js), so training, scoring and the artifacts code
+handle every type the same way. A learner is an object with:
+  type                     'neural', 'logistic' or 'gbdt'
+  inputLayout(preprocessor)  the model inputs it is fed, as Preprocessor.inputLayout entries
+  predict(inputs)          promise of one raw probability per row; inputs has one object per row keyed by input name,
+                           as returned by Preprocessor.transformInputs for that layout
+  inputMismatches(preprocessor)  problems with feeding the model that preprocessor's vectors, such as a network whose
+                           input width differs from the vector length (empty when they fit)
+  save(dir)                writes the model into dir (the artifacts directory's model/ subdirectory)
+  dispose()                releases the model's tensors (nothing to release for the baselines)
+
+The neural network is saved in the TensorFlow.js layers format (model.json + weights); the baselines always take the flat
+one-hot vector and are saved as learner.json ({ type, params }). loadLearner tells them apart by which file is present.
+*/
+
+export const LEARNER_FILE = 'learner.json';
+
+// Fit and predict functions of the non-neural model types
+const BASELINES = {
+  logistic: { fit: fitLogistic, predictRow: predictLogistic },
+  gbdt: { fit: fitGbdt, predictRow: predictGbdt }
+};
+
+/**
+Works out how to feed a loaded network from its input names. Models built in 'embedding' mode have a "numeric" input and one
+"cat_<feature>" input per categorical feature, all of which must be found in the preprocessor's embedding layout.
+Any single-input model (including ones saved before model specs existed) takes the flat one-hot vector.
+*/
+function inputLayoutForNetwork(model, preprocessor) {
+  const embeddingLayout = preprocessor.inputLayout('embedding');
+  const byName = Object.fromEntries(embeddingLayout.map(input => [input.name, input]));
+  if (model.inputNames.every(name => byName[name])) {
+    return model.inputNames.map(name => byName[name]);
+  }
+  if (model.inputs.length === 1) {
+    return [{ name: model.inputNames[0], kind: 'flat', size: preprocessor.totalDim }];
+  }
+  const unknown = model.inputNames.filter(name => !byName[name]);
+  throw new Error(`Model inputs ${unknown.join(', ')} do not match any feature in preprocessing.json`);
+}
+
+// Builds a [rows, width] tensor for one model input, slicing or zero-padding the rows to the model's input width; the
+// intermediate tensors are released, only the returned one is left for the caller to dispose
+function inputTensor(values, width) {
+  return tf.tidy(() => {
+    const actual = values.length > 0 ? values[0].length : width;
+    const tensor = tf.tensor2d(values, [values.length, actual]);
+    if (actual > width) return tensor.slice([0, 0], [-1, width]);
+    if (actual < width) return tf.concat([tensor, tf.zeros([values.length, width - actual])], 1);
+    return tensor;
+  });
+}
+
+/**
+Wraps a TensorFlow.js layers model. `network` exposes the underlying model for the tfjs-specific parts of training
+(fitDataset, callbacks, summary).
+*/
+export function neuralLearner(model) {
+  return {
+    type: 'neural',
+    network: model,
+    inputLayout(preprocessor) {
+      return inputLayoutForNetwork(model, preprocessor);
+    },
+    inputMismatches(preprocessor) {
+      // Category indices always have width 1; only the vector inputs can disagree with preprocessing.json
+      return inputLayoutForNetwork(model, preprocessor)
+        .map((input, k) => ({ input, width: model.inputs[k].shape[1] }))
+        .filter(({ input, width }) => input.kind !== 'categorical' && width !== input.size)
+        .map(({ input, width }) => `model input ${input.name} takes ${width} values but preprocessing produces ${input.size}`);
+    },
+    async predict(inputs) {
+      // A width mismatch is reported once when the model is loaded (see loadScorer in scoring.js), not per batch
+      const tensors = model.inputNames.map((name, k) => inputTensor(inputs.map(row => row[name]), model.inputs[k].shape[1]));
+      const out = model.predict(tensors.length === 1 ? tensors[0] : tensors);
+      const probs = Array.from(await out.data());
+      tf.dispose([out, tensors]);
+      return probs;
+    },
+    async save(dir) {
+      await model.save(fileUrl(dir));
+    },
+    dispose() {
+      model.dispose();
+    }
+  };
+}
+
+function baselineLearner(type, params) {
+  const { predictRow } = BASELINES[type];
+  return {
+    type,
+    params,
+    inputLayout(preprocessor) {
+      return preprocessor.inputLayout('onehot');
+    },
+    inputMismatches(preprocessor) {
+      return params.width === preprocessor.totalDim
+        ? []
+        : [`the ${type} model expects ${params.width} features but preprocessing produces ${preprocessor.totalDim}`];
+    },
+    async predict(inputs) {
+      return inputs.map(({ features }) => {
+        if (features.length !== params.width) {
+          throw new Error(`The ${type} model expects ${params.width} features but preprocessing produced ${features.length}`);
+        }
+        return predictRow(params, features);
+      });
+    },
+    async save(dir) {
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(path.join(dir, LEARNER_FILE), JSON.stringify({ type, params }));
+    },
+    dispose() {}
+  };
+}
+
+/**
+Fits a non-neural learner of spec.type on flat feature vectors X and 0/1 labels. seed drives any randomness of the fit
+(row subsampling for gbdt).
+*/
+export function fitBaseline(spec, X, labels, seed) {
+  const baseline = BASELINES[spec.type];
+  if (!baseline) throw new Error(`Unknown baseline model type "${spec.type}"`);
+  const params = baseline.fit(X, labels, { ...spec[spec.type], seed });
+  return baselineLearner(spec.type, { width: X.length > 0 ? X[0].length : 0, ...params });
+}
+
+// Loads whichever learner was saved into dir
+export async function loadLearner(dir) {
+  const learnerJson = path.join(dir, LEARNER_FILE);
+  if (fs.existsSync(learnerJson)) {
+    const { type, params } = JSON.parse(fs.readFileSync(learnerJson, 'utf-8'));
+    if (!BASELINES[type]) throw new Error(`Unknown model type "${type}" in ${learnerJson}`);
+    return baselineLearner(type, params);
+  }
+  const modelJson = path.join(dir, 'model.json');
+  if (!fs.existsSync(modelJson)) {
+    throw new Error('Missing model at ' + modelJson);
+  }
+  return neuralLearner(await tf.loadLayersModel(fileUrl(modelJson)));
+}
@@ -0,0 +1,117 @@
+/**
+L2-regularized logistic regression on the flat preprocessed feature vector, used as a linear baseline (model.type 'logistic').
+It minimizes the mean log-loss plus l2 / 2 * |w|^2 (the bias is not penalized) with truncated Newton steps: every step solves
+the Newton system approximately by conjugate gradient using Hessian-vector products, so it never forms the d × d Hessian and
+stays cheap when the one-hot vector is wide. A backtracking line search keeps every step a decrease of the objective.
+
+The fitted parameters are plain JSON ({ weights, bias }) and are saved as the model's learner.json (see learners.js).
+*/
+
+function sigmoid(z) {
+  return 1 / (1 + Math.exp(-z));
+}
+
+function dot(a, b) {
+  let s = 0;
+  for (let j = 0; j < a.length; j++) s += a[j] * b[j];
+  return s;
+}
+
+// Margin of one row for parameters theta = [w_1 .. w_d, bias]
+function margin(theta, x) {
+  let z = theta[x.length];
+  for (let j = 0; j < x.length; j++) z += theta[j] * x[j];
+  return z;
+}
+
+function objective(theta, X, y, l2) {
+  const d = theta.length - 1;
+  let loss = 0;
+  X.forEach((x, i) => {
+    const z = margin(theta, x);
+    // log(1 + e^z) - y z, computed without overflow
+    loss += (z > 0 ? z + Math.log1p(Math.exp(-z)) : Math.log1p(Math.exp(z))) - y[i] * z;
+  });
+  let penalty = 0;
+  for (let j = 0; j < d; j++) penalty += theta[j] * theta[j];
+  return loss / X.length + 0.5 * l2 * penalty;
+}
+
+// Solves H x = b approximately, where hessVec(v) returns H v
+function conjugateGradient(hessVec, b, maxSteps, tolerance) {
+  const x = new Array(b.length).fill(0);
+  const r = b.slice();
+  const p = b.slice();
+  let rs = dot(r, r);
+  for (let k = 0; k < maxSteps && Math.sqrt(rs) > tolerance; k++) {
+    const hp = hessVec(p);
+    const alpha = rs / dot(p, hp);
+    for (let j = 0; j < x.length; j++) {
+      x[j] += alpha * p[j];
+      r[j] -= alpha * hp[j];
+    }
+    const rsNext = dot(r, r);
+    for (let j = 0; j < p.length; j++) p[j] = r[j] + (rsNext / rs) * p[j];
+    rs = rsNext;
+  }
+  return x;
+}
+
+/**
+Fits the model on rows X (arrays of numbers) and 0/1 labels y. Stops when the gradient norm drops below tolerance or after
+maxIterations Newton steps.
+*/
+export function fitLogistic(X, y, { l2 = 1e-3, maxIterations = 50, tolerance = 1e-6 } = {}) {
+  const n = X.length;
+  const d = n > 0 ? X[0].length : 0;
+  const theta = new Array(d + 1).fill(0);
+  let current = objective(theta, X, y, l2);
+
+  for (let iter = 0; iter < maxIterations; iter++) {
+    const probs = X.map(x => sigmoid(margin(theta, x)));
+    const curvature = probs.map(p => p * (1 - p));
+    const grad = new Array(d + 1).fill(0);
+    X.forEach((x, i) => {
+      const r = probs[i] - y[i];
+      for (let j = 0; j < d; j++) grad[j] += r * x[j];
+      grad[d] += r;
+    });
+    for (let j = 0; j <= d; j++) grad[j] = grad[j] / n + (j < d ? l2 * theta[j] : 0);
+    if (Math.sqrt(dot(grad, grad)) < tolerance) break;
+
+    // H v = X^T diag(p(1-p)) X v / n + l2 v (plus a tiny ridge on the bias so H stays positive definite)
+    const hessVec = v => {
+      const out = new Array(d + 1).fill(0);
+      X.forEach((x, i) => {
+        const s = curvature[i] * margin(v, x);
+        for (let j = 0; j < d; j++) out[j] += s * x[j];
+        out[d] += s;
+      });
+      for (let j = 0; j <= d; j++) out[j] = out[j] / n + (j < d ? l2 : 1e-10) * v[j];
+      return out;
+    };
+    const step = conjugateGradient(hessVec, grad.map(g => -g), Math.min(d + 1, 100), 0.1 * Math.sqrt(dot(grad, grad)));
+
+    // Backtracking (Armijo) line search along the Newton direction
+    const slope = dot(grad, step);
+    let scale = 1;
+    let candidate = theta.map((t, j) => t + step[j]);
+    let next = objective(candidate, X, y, l2);
+    while (next > current + 1e-4 * scale * slope && scale > 1e-8) {
+      scale /= 2;
+      candidate = theta.map((t, j) => t + scale * step[j]);
+      next = objective(candidate, X, y, l2);
+    }
+    if (next > current) break;
+    candidate.forEach((t, j) => { theta[j] = t; });
+    const improvement = current - next;
+    current = next;
+    if (improvement < 1e-12) break;
+  }
+  return { weights: theta.slice(0, d), bias: theta[d] };
+}
+
+// Probability of the positive class for one feature vector
+export function predictLogistic({ weights, bias }, x) {
+  return sigmoid(bias + dot(weights, x));
+}
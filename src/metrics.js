@@ -0,0 +1,129 @@
+import { logLoss, accuracyAt } from './calibration.js';
+
+/**
+Classification metrics for the evaluation report (see evaluate.js). Everything works on plain arrays of probabilities and
+0/1 labels. Threshold-dependent metrics use "p >= threshold is positive", like predict.
+
+Curves are computed exactly, with one point per distinct probability, walking the rows from the highest probability down.
+ROC-AUC is the trapezoidal area under the ROC curve. PR-AUC is reported as average precision, the sum over recall steps of
+precision × recall gained. This step-wise area does not interpolate optimistically between PR points. AUCs are null when the
+labels contain only one class.
+*/
+
+export function confusionMatrix(probs, labels, threshold) {
+  const m = { tp: 0, fp: 0, tn: 0, fn: 0 };
+  probs.forEach((p, i) => {
+    const predicted = p >= threshold;
+    if (labels[i] === 1) m[predicted ? 'tp' : 'fn'] += 1;
+    else m[predicted ? 'fp' : 'tn'] += 1;
+  });
+  return m;
+}
+
+// Ratio that is null instead of NaN when nothing was counted
+function ratio(a, b) {
+  return b > 0 ? a / b : null;
+}
+
+/**
+Walks the rows from the highest probability down and returns, after each run of equal probabilities, the cumulative
+true and false positives: the confusion counts of the threshold equal to that probability.
+*/
+function thresholdSteps(probs, labels) {
+  const order = probs.map((p, i) => i).sort((i, j) => probs[j] - probs[i]);
+  const steps = [];
+  let tp = 0;
+  let fp = 0;
+  let k = 0;
+  while (k < order.length) {
+    const threshold = probs[order[k]];
+    while (k < order.length && probs[order[k]] === threshold) {
+      if (labels[order[k]] === 1) tp += 1;
+      else fp += 1;
+      k += 1;
+    }
+    steps.push({ threshold, tp, fp });
+  }
+  return steps;
+}
+
+// ROC curve points from (0, 0) to (1, 1) and the area under it
+export function rocCurve(probs, labels) {
+  const positives = labels.filter(y => y === 1).length;
+  const negatives = labels.length - positives;
+  if (positives === 0 || negatives === 0) return { points: [], auc: null };
+  const points = [{ fpr: 0, tpr: 0, threshold: null }];
+  thresholdSteps(probs, labels).forEach(({ threshold, tp, fp }) => {
+    points.push({ fpr: fp / negatives, tpr: tp / positives, threshold });
+  });
+  let auc = 0;
+  for (let k = 1; k < points.length; k++) {
+    auc += (points[k].fpr - points[k - 1].fpr) * (points[k].tpr + points[k - 1].tpr) / 2;
+  }
+  return { points, auc };
+}
+
+// Precision-recall curve points (by decreasing threshold) and the average precision
+export function prCurve(probs, labels) {
+  const positives = labels.filter(y => y === 1).length;
+  if (positives === 0 || positives === labels.length) return { points: [], auc: null };
+  const points = [];
+  let auc = 0;
+  let previousRecall = 0;
+  thresholdSteps(probs, labels).forEach(({ threshold, tp, fp }) => {
+    const recall = tp / positives;
+    const precision = tp / (tp + fp);
+    auc += (recall - previousRecall) * precision;
+    previousRecall = recall;
+    points.push({ recall, precision, threshold });
+  });
+  return { points, auc };
+}
+
+// Summary metrics at one decision threshold, plus the threshold-free log-loss and AUCs
+export function classificationMetrics(probs, labels, threshold) {
+  const m = confusionMatrix(probs, labels, threshold);
+  const precision = ratio(m.tp, m.tp + m.fp);
+  const recall = ratio(m.tp, m.tp + m.fn);
+  return {
+    rows: labels.length,
+    threshold,
+    accuracy: accuracyAt(probs, labels, threshold),
+    precision,
+    recall,
+    f1: precision !== null && recall !== null && precision + recall > 0 ? (2 * precision * recall) / (precision + recall) : null,
+    logLoss: logLoss(probs, labels),
+    rocAuc: rocCurve(probs, labels).auc,
+    prAuc: prCurve(probs, labels).auc,
+    positiveRate: ratio(m.tp + m.fn, labels.length),
+    predictedPositiveRate: ratio(m.tp + m.fp, labels.length),
+    confusionMatrix: m
+  };
+}
+
+/**
+Breaks accuracy down by the values of one raw column. values holds the column value of every row; missing values form
+their own "(missing)" segment. Segments are returned largest first.
+*/
+export function segmentMetrics(values, probs, labels, threshold) {
+  const groups = new Map();
+  values.forEach((v, i) => {
+    const key = v === undefined || v === null || v === '' ? '(missing)' : String(v);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(i);
+  });
+  return [...groups.entries()]
+    .map(([value, rows]) => {
+      const p = rows.map(i => probs[i]);
+      const y = rows.map(i => labels[i]);
+      return {
+        value,
+        rows: rows.length,
+        accuracy: accuracyAt(p, y, threshold),
+        logLoss: logLoss(p, y),
+        positiveRate: y.reduce((a, b) => a + b, 0) / y.length,
+        predictedPositiveRate: p.filter(q => q >= threshold).length / p.length
+      };
+    })
+    .sort((a, b) => b.rows - a.rows);
+}
@@ -1,28 +1,284 @@
 import * as tf from '@tensorflow/tfjs';
 
-/** 
-This function builds and returns a compiled TensorFlow.js Sequential model for binary classification. 
-The inputDim argument specifies the length of each flattened feature vector; it becomes the inputShape of the first Dense layer.
+/**
+The model is described by a declarative model spec (the `model` section of the run config) rather than hard-coded layers.
+type selects the learner: 'neural' (the default) is the dense network built by createModel below; 'logistic' and 'gbdt' are
+the non-neural baselines in linear.js and gbdt.js, configured by the spec's `logistic` and `gbdt` blocks (the network keys are
+ignored for them, and they always take the flat one-hot vector). For the network, DEFAULT_MODEL_SPEC reproduces the original
+architecture: three hidden Dense layers with ReLU activations and unit counts 128 → 64 → 32, each followed by Dropout
+(rate 0.2), a shared L2 weight penalty of 1e-4, and plain SGD at its default learning rate.
 
-A small L2 (weight decay) regularizer (1e-4) is reused across all Dense layers to penalize large weights and reduce overfitting. 
-The architecture is a stack of three hidden Dense layers with ReLU activations and unit counts 128 → 64 → 32. 
-After each hidden layer a Dropout layer (rate 0.2) randomly zeros 20% of activations during training, adding another form of regularization.
+Spec fields:
+  inputMode      'onehot' feeds the flat [numeric | one-hot ...] vector as a single input; 'embedding' gives every categorical
+                 feature its own integer input and Embedding layer, concatenated with the standardized numeric features.
+  layers         hidden Dense layers, e.g. [{ units: 128 }, { units: 64, dropout: 0.3 }]. activation, dropout and batchNorm set per layer
+                 fall back to the spec-level values of the same name.
+  l1, l2         weight penalties applied to every Dense kernel (and to the embedding tables).
+  optimizer      'sgd' | 'momentum' | 'adam' | 'rmsprop' | 'adagrad', with learningRate (and momentum for 'momentum').
+  schedule       per-epoch learning-rate schedule: { type: 'constant' }, { type: 'step', every, factor },
+                 { type: 'exponential', decayRate } or { type: 'cosine', minLearningRate }.
+  embeddingDim   embedding width for every categorical feature; null picks min(16, ceil(sqrt(vocabulary size)) + 1) per feature.
+  seed           integer seed for the initial weights, dropout masks and per-epoch shuffling (and gbdt row subsampling), or
+                 null to use training.seed. Ensemble members differ by seed.
+  logistic       { l2, maxIterations }: penalty and Newton-step limit of the logistic regression.
+  gbdt           { trees, maxDepth, learningRate, minSamplesLeaf, l2, subsample, bins }: boosting rounds, tree shape, shrinkage,
+                 leaf-weight penalty, row fraction per tree and histogram bins per feature.
 
-The final Dense layer has a single unit with sigmoid activation, producing a probability (0–1) suitable for a binary target. 
-The model is compiled with the 'sgd' optimizer (default learning rate unless overridden), binaryCrossentropy loss, and accuracy metric.
+The final Dense layer always has a single sigmoid unit producing a probability (0–1) for the binary target, and the model is compiled
+with binaryCrossentropy loss and the accuracy metric.
 */
 
-export function createModel(inputDim) {
-  const model = tf.sequential();
-  const l2 = tf.regularizers.l2({ l2: 1e-4 });
-  model.add(tf.layers.dense({ inputShape: [inputDim], units: 128, activation: 'relu', kernelRegularizer: l2 }));
-  model.add(tf.layers.dropout({ rate: 0.2 }));
-  model.add(tf.layers.dense({ units: 64, activation: 'relu', kernelRegularizer: l2 }));
-  model.add(tf.layers.dropout({ rate: 0.2 }));
-  model.add(tf.layers.dense({ units: 32, activation: 'relu', kernelRegularizer: l2 }));
-  model.add(tf.layers.dropout({ rate: 0.2 }));
-  model.add(tf.layers.dense({ units: 1, activation: 'sigmoid', kernelRegularizer: l2 }));
-  model.compile({ optimizer: 'sgd', loss: 'binaryCrossentropy', metrics: ['accuracy'] });
+export const DEFAULT_MODEL_SPEC = {
+  type: 'neural',
+  inputMode: 'onehot',
+  layers: [{ units: 128 }, { units: 64 }, { units: 32 }],
+  activation: 'relu',
+  dropout: 0.2,
+  batchNorm: false,
+  l1: 0,
+  l2: 1e-4,
+  optimizer: 'sgd',
+  learningRate: 0.01,
+  momentum: 0.9,
+  schedule: { type: 'constant' },
+  embeddingDim: null,
+  seed: null,
+  logistic: { l2: 1e-3, maxIterations: 50 },
+  gbdt: { trees: 200, maxDepth: 3, learningRate: 0.1, minSamplesLeaf: 20, l2: 1, subsample: 1, bins: 64 }
+};
+
+export const MODEL_TYPES = ['neural', 'logistic', 'gbdt'];
+
+const INPUT_MODES = ['onehot', 'embedding'];
+const ACTIVATIONS = ['relu', 'elu', 'selu', 'tanh', 'sigmoid', 'linear', 'softplus', 'swish', 'mish'];
+const OPTIMIZERS = ['sgd', 'momentum', 'adam', 'rmsprop', 'adagrad'];
+const SCHEDULES = ['constant', 'step', 'exponential', 'cosine'];
+
+// Fills a partial spec with defaults; `layers` is replaced as a whole, `schedule`, `logistic` and `gbdt` are merged key by key
+export function resolveModelSpec(spec = {}) {
+  return {
+    ...DEFAULT_MODEL_SPEC,
+    ...spec,
+    schedule: { ...DEFAULT_MODEL_SPEC.schedule, ...(spec.schedule || {}) },
+    logistic: { ...DEFAULT_MODEL_SPEC.logistic, ...(spec.logistic || {}) },
+    gbdt: { ...DEFAULT_MODEL_SPEC.gbdt, ...(spec.gbdt || {}) }
+  };
+}
+
+/**
+Returns a list of human-readable problems with a (partial) model spec; an empty list means the spec is valid.
+Used by the config validation so a bad architecture is reported at startup together with any other config errors.
+*/
+export function modelSpecErrors(partial) {
+  const errors = [];
+  Object.keys(partial).forEach(key => {
+    if (!(key in DEFAULT_MODEL_SPEC)) errors.push(`unknown key "model.${key}"`);
+  });
+  const spec = resolveModelSpec(partial);
+  const isRate = v => typeof v === 'number' && v >= 0 && v < 1;
+  const isPenalty = v => typeof v === 'number' && v >= 0;
+
+  if (!MODEL_TYPES.includes(spec.type)) errors.push(`model.type must be one of ${MODEL_TYPES.join(', ')}`);
+  if (!INPUT_MODES.includes(spec.inputMode)) errors.push(`model.inputMode must be one of ${INPUT_MODES.join(', ')}`);
+  if (!ACTIVATIONS.includes(spec.activation)) errors.push(`model.activation must be one of ${ACTIVATIONS.join(', ')}`);
+  if (!isRate(spec.dropout)) errors.push('model.dropout must be a number in [0, 1)');
+  if (typeof spec.batchNorm !== 'boolean') errors.push('model.batchNorm must be true or false');
+  if (!Array.isArray(spec.layers) || spec.layers.length === 0) {
+    errors.push('model.layers must be a non-empty array');
+  } else {
+    spec.layers.forEach((layer, i) => {
+      const where = `model.layers[${i}]`;
+      if (layer === null || typeof layer !== 'object') {
+        errors.push(`${where} must be an object like { units: 64 }`);
+        return;
+      }
+      if (!Number.isInteger(layer.units) || layer.units <= 0) errors.push(`${where}.units must be a positive integer`);
+      if (layer.activation !== undefined && !ACTIVATIONS.includes(layer.activation)) errors.push(`${where}.activation must be one of ${ACTIVATIONS.join(', ')}`);
+      if (layer.dropout !== undefined && !isRate(layer.dropout)) errors.push(`${where}.dropout must be a number in [0, 1)`);
+      if (layer.batchNorm !== undefined && typeof layer.batchNorm !== 'boolean') errors.push(`${where}.batchNorm must be true or false`);
+    });
+  }
+  if (!isPenalty(spec.l1)) errors.push('model.l1 must be a non-negative number');
+  if (!isPenalty(spec.l2)) errors.push('model.l2 must be a non-negative number');
+  if (!OPTIMIZERS.includes(spec.optimizer)) errors.push(`model.optimizer must be one of ${OPTIMIZERS.join(', ')}`);
+  if (typeof spec.learningRate !== 'number' || !(spec.learningRate > 0)) errors.push('model.learningRate must be a positive number');
+  if (!isRate(spec.momentum)) errors.push('model.momentum must be a number in [0, 1)');
+  if (spec.embeddingDim !== null && (!Number.isInteger(spec.embeddingDim) || spec.embeddingDim <= 0)) {
+    errors.push('model.embeddingDim must be null or a positive integer');
+  }
+  if (spec.seed !== null && !Number.isInteger(spec.seed)) errors.push('model.seed must be null or an integer');
+
+  const s = spec.schedule;
+  if (!SCHEDULES.includes(s.type)) {
+    errors.push(`model.schedule.type must be one of ${SCHEDULES.join(', ')}`);
+  } else if (s.type === 'step') {
+    if (!Number.isInteger(s.every) || s.every <= 0) errors.push('model.schedule.every must be a positive integer (epochs)');
+    if (typeof s.factor !== 'number' || !(s.factor > 0 && s.factor <= 1)) errors.push('model.schedule.factor must be a number in (0, 1]');
+  } else if (s.type === 'exponential') {
+    if (typeof s.decayRate !== 'number' || !(s.decayRate > 0 && s.decayRate <= 1)) errors.push('model.schedule.decayRate must be a number in (0, 1]');
+  } else if (s.type === 'cosine') {
+    const min = s.minLearningRate ?? 0;
+    if (typeof min !== 'number' || min < 0 || min > spec.learningRate) errors.push('model.schedule.minLearningRate must be between 0 and model.learningRate');
+  }
+
+  ['logistic', 'gbdt'].forEach(block => {
+    Object.keys(spec[block]).forEach(key => {
+      if (!(key in DEFAULT_MODEL_SPEC[block])) errors.push(`unknown key "model.${block}.${key}"`);
+    });
+  });
+  const isPositiveInt = v => Number.isInteger(v) && v > 0;
+  if (!isPenalty(spec.logistic.l2)) errors.push('model.logistic.l2 must be a non-negative number');
+  if (!isPositiveInt(spec.logistic.maxIterations)) errors.push('model.logistic.maxIterations must be a positive integer');
+  const g = spec.gbdt;
+  if (!isPositiveInt(g.trees)) errors.push('model.gbdt.trees must be a positive integer');
+  if (!isPositiveInt(g.maxDepth)) errors.push('model.gbdt.maxDepth must be a positive integer');
+  if (typeof g.learningRate !== 'number' || !(g.learningRate > 0 && g.learningRate <= 1)) errors.push('model.gbdt.learningRate must be a number in (0, 1]');
+  if (!isPositiveInt(g.minSamplesLeaf)) errors.push('model.gbdt.minSamplesLeaf must be a positive integer');
+  if (!isPenalty(g.l2)) errors.push('model.gbdt.l2 must be a non-negative number');
+  if (typeof g.subsample !== 'number' || !(g.subsample > 0 && g.subsample <= 1)) errors.push('model.gbdt.subsample must be a number in (0, 1]');
+  if (!Number.isInteger(g.bins) || g.bins < 2 || g.bins > 65535) errors.push('model.gbdt.bins must be an integer between 2 and 65535');
+  return errors;
+}
+
+function createOptimizer(spec) {
+  switch (spec.optimizer) {
+    case 'momentum': return tf.train.momentum(spec.learningRate, spec.momentum);
+    case 'adam': return tf.train.adam(spec.learningRate);
+    case 'rmsprop': return tf.train.rmsprop(spec.learningRate);
+    case 'adagrad': return tf.train.adagrad(spec.learningRate);
+    default: return tf.train.sgd(spec.learningRate);
+  }
+}
+
+function defaultEmbeddingDim(vocabSize) {
+  return Math.min(16, Math.ceil(Math.sqrt(vocabSize)) + 1);
+}
+
+/**
+Dropout whose masks come from seeds handed out by nextSeed(), so a seeded run drops the same units on every rerun. The
+built-in layer either draws unseeded masks or, given a seed, the same mask on every batch. It serializes as a plain Dropout
+layer, so saved models load without it; at inference both are the identity.
+*/
+class SeededDropout extends tf.layers.Layer {
+  static className = 'Dropout';
+
+  constructor({ rate, nextSeed, ...args }) {
+    super(args);
+    this.rate = rate;
+    this.nextSeed = nextSeed;
+  }
+
+  call(inputs, kwargs) {
+    const x = Array.isArray(inputs) ? inputs[0] : inputs;
+    return kwargs.training ? tf.dropout(x, this.rate, undefined, this.nextSeed()) : x;
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), rate: this.rate };
+  }
+}
+
+/**
+This function builds and returns a compiled TensorFlow.js model for binary classification from a model spec and an input layout.
+The input layout comes from Preprocessor.inputLayout(spec.inputMode): a list of model inputs, each either a dense block
+({ kind: 'flat' | 'numeric', name, size }) or a single categorical index ({ kind: 'categorical', name, vocabSize }).
+Categorical inputs go through their own Embedding layer and are flattened, and all inputs are concatenated before the hidden stack.
+
+Each hidden layer is Dense → (BatchNormalization) → activation → (Dropout). With batch norm the activation is applied after
+normalization, so the Dense layer itself is linear. options.dropoutSeed, a function returning a new integer seed on every
+call, makes the dropout masks reproducible (see SeededDropout); without it they are unseeded.
+*/
+export function createModel(spec, inputLayout, options = {}) {
+  const regularizer = spec.l1 > 0 || spec.l2 > 0 ? tf.regularizers.l1l2({ l1: spec.l1, l2: spec.l2 }) : undefined;
+
+  // With a seed every weight-carrying layer gets its own derived seed, so layers do not start from identical draws
+  let layerSeed = spec.seed;
+  const kernelInitializer = () => (spec.seed === null ? undefined : tf.initializers.glorotUniform({ seed: layerSeed++ }));
+  const embeddingsInitializer = () => (spec.seed === null ? undefined : tf.initializers.randomUniform({ minval: -0.05, maxval: 0.05, seed: layerSeed++ }));
+
+  const inputs = [];
+  const parts = [];
+  inputLayout.forEach(input => {
+    if (input.kind === 'categorical') {
+      const x = tf.input({ shape: [1], name: input.name });
+      const embedded = tf.layers.embedding({
+        inputDim: input.vocabSize,
+        outputDim: spec.embeddingDim ?? defaultEmbeddingDim(input.vocabSize),
+        embeddingsRegularizer: regularizer,
+        embeddingsInitializer: embeddingsInitializer(),
+        name: `${input.name}_embedding`
+      }).apply(x);
+      inputs.push(x);
+      parts.push(tf.layers.flatten().apply(embedded));
+    } else {
+      const x = tf.input({ shape: [input.size], name: input.name });
+      inputs.push(x);
+      parts.push(x);
+    }
+  });
+
+  let h = parts.length > 1 ? tf.layers.concatenate().apply(parts) : parts[0];
+  spec.layers.forEach(layer => {
+    const activation = layer.activation ?? spec.activation;
+    const batchNorm = layer.batchNorm ?? spec.batchNorm;
+    const dropout = layer.dropout ?? spec.dropout;
+    h = tf.layers.dense({
+      units: layer.units,
+      activation: batchNorm ? 'linear' : activation,
+      kernelRegularizer: regularizer,
+      kernelInitializer: kernelInitializer()
+    }).apply(h);
+    if (batchNorm) {
+      h = tf.layers.batchNormalization().apply(h);
+      h = tf.layers.activation({ activation }).apply(h);
+    }
+    if (dropout > 0) {
+      h = (options.dropoutSeed
+        ? new SeededDropout({ rate: dropout, nextSeed: options.dropoutSeed })
+        : tf.layers.dropout({ rate: dropout })).apply(h);
+    }
+  });
+  const output = tf.layers.dense({
+    units: 1,
+    activation: 'sigmoid',
+    kernelRegularizer: regularizer,
+    kernelInitializer: kernelInitializer()
+  }).apply(h);
+
+  const model = tf.model({ inputs, outputs: output });
+  model.compile({ optimizer: createOptimizer(spec), loss: 'binaryCrossentropy', metrics: ['accuracy'] });
   return model;
 }
 
+// Learning rate for a 0-based epoch under the spec's schedule
+export function scheduledLearningRate(spec, epoch, totalEpochs) {
+  const base = spec.learningRate;
+  const s = spec.schedule;
+  switch (s.type) {
+    case 'step': return base * Math.pow(s.factor, Math.floor(epoch / s.every));
+    case 'exponential': return base * Math.pow(s.decayRate, epoch);
+    case 'cosine': {
+      const min = s.minLearningRate ?? 0;
+      const progress = totalEpochs > 1 ? epoch / (totalEpochs - 1) : 0;
+      return min + 0.5 * (base - min) * (1 + Math.cos(Math.PI * progress));
+    }
+    default: return base;
+  }
+}
+
+/**
+Returns a callback that sets the optimizer's learning rate at the start of every epoch, or null for a constant schedule.
+SGD and momentum keep a cached scalar of the rate and must be updated through setLearningRate; the other optimizers
+read their learningRate field on every step.
+*/
+export function learningRateScheduler(model, spec, totalEpochs) {
+  if (spec.schedule.type === 'constant') return null;
+  return new tf.CustomCallback({
+    onEpochBegin: async epoch => {
+      const lr = scheduledLearningRate(spec, epoch, totalEpochs);
+      const optimizer = model.optimizer;
+      if (typeof optimizer.setLearningRate === 'function') optimizer.setLearningRate(lr);
+      else optimizer.learningRate = lr;
+    }
+  });
+}
@@ -1,130 +1,207 @@
-import * as tf from '@tensorflow/tfjs-node';
 import fs from 'fs';
-
-async function main() {
-  // Load preprocessing artifacts
-  const artifactsPath = '../model_artifacts/preprocessing.json';
-  if (!fs.existsSync(artifactsPath)) {
-    throw new Error('Missing preprocessing artifacts at ' + artifactsPath);
-  }
-  const artifacts = JSON.parse(fs.readFileSync(artifactsPath, 'utf-8'));
-  const {
-    featureNames,
-    numericIndices,
-    stringIndices,
-    numericMeans,
-    numericStds,              
-    vocabByFeature,
-    oneHotOffsets,
-    totalDim
-  } = artifacts;
-
-  // Rebuild index maps (token -> position) for string features
-  const indexByFeature = {};
-  Object.entries(vocabByFeature).forEach(([feat, vocab]) => {
-    const map = {};
-    vocab.forEach((tok, i) => { map[tok] = i; });
-    indexByFeature[feat] = map;
+import path from 'path';
+import { readCsvBatches } from './data.js';
+import { loadScorer } from './scoring.js';
+import { occlusionAttributions } from './importance.js';
+import { loadProfile } from './artifacts.js';
+import { createRowValidator } from './drift.js';
+import { artifactsDirFor } from './runs.js';
+
+/**
+Reports the result of checking the test rows against the training data profile (see drift.js) together with the loaded
+model(s) checked against their preprocessing, and writes it to config.paths.validationReport. Issues are logged as warnings;
+with validation.strict any issue throws instead, before a submission is written.
+*/
+function reportValidation(scorer, validation, profile, artifactsDir, config) {
+  const { validationReport } = config.paths;
+  const { strict } = config.validation;
+  scorer.inputMismatches().forEach(problem => {
+    validation.issues.push({ column: null, check: 'input-shape', message: problem });
   });
-
-  // Load model
-  const model = await tf.loadLayersModel('file://../model_artifacts/model/model.json');
-  const modelInputDim = model.inputs[0].shape[1];
-  if (modelInputDim !== totalDim) {
-    console.warn(`Warning: artifact totalDim (${totalDim}) != model input dim (${modelInputDim}). Will slice/pad.`);
+  const report = { createdAt: new Date().toISOString(), data: config.paths.test, artifactsDir, strict, ...validation };
+  fs.mkdirSync(path.dirname(validationReport), { recursive: true });
+  fs.writeFileSync(validationReport, JSON.stringify(report, null, 2));
+
+  const { issues } = validation;
+  if (!profile) console.warn(`Warning: ${artifactsDir} has no profile.json (trained before profiles existed); checking column types only.`);
+  console.log(`Input validation: ${issues.length} issue(s) in ${validation.rows} rows, report written to ${validationReport}`);
+  if (issues.length === 0) return;
+  issues.forEach(({ message }) => console.warn(`  ${strict ? 'Error' : 'Warning'}: ${message}`));
+  if (strict) {
+    throw new Error(`Input validation failed with ${issues.length} issue(s) (validation.strict); no submission was written. ` +
+      `See ${validationReport}.`);
   }
+}
 
-  // Create test dataset (no label column)
-  const testDataset = tf.data.csv(
-    'file://../data/test.csv',
-    { hasHeader: true }
-  );
-
-  // Encoding function (mirrors training)
-  function encodeRow(xs) {
-    const vec = new Array(totalDim).fill(0);
-
-    // Numeric: mean impute + normalization
-    numericIndices.forEach((colIdx, pos) => {
-      const name = featureNames[colIdx];
-      const v = xs[name];
-      const mean = numericMeans[pos];
-      const std = numericStds && numericStds[pos] > 0 ? numericStds[pos] : 1;
-      const raw = (typeof v === 'number' && Number.isFinite(v)) ? v : mean;
-      vec[pos] = (raw - mean) / std;
-    });
-
-    // String one-hot
-    stringIndices.forEach(i => {
-      const name = featureNames[i];
-      const meta = oneHotOffsets[name];
-      if (!meta) return;
-      const { offset, size } = meta;
-      let v = xs[name];
-      if (v === null || v === undefined || v === '') v = '__MISSING__';
-      v = String(v);
-      const map = indexByFeature[name];
-      const idx = (map && map[v] !== undefined) ? map[v] : (map ? map['__MISSING__'] : -1);
-      if (idx >= 0 && idx < size) vec[offset + idx] = 1;
-    });
-
-    return vec;
+// Header (null for none) and line builder of the configured output format; label is a boolean
+function outputFormat(config) {
+  const { idColumn, labelColumn } = config;
+  const { format, writeProbabilities } = config.prediction;
+  const bool = label => (label ? 'True' : 'False');
+  if (format === 'jsonl') {
+    return { header: null, line: (id, probability, label) => JSON.stringify({ id, probability, label }) };
   }
-
-  // Collect rows
-  const featureRows = [];
-  const passengerIds = [];
-  await testDataset.forEachAsync(xs => {
-    // xs is the features object
-    // PassengerId assumed present among string features
-    passengerIds.push(xs.PassengerId ?? '');
-    featureRows.push(encodeRow(xs));
-  });
-
-  console.log(`Collected ${featureRows.length} test rows.`);
-
-  if (featureRows.length === 0) {
-    console.error('No test rows found. Exiting.');
-    return;
+  if (format === 'csv') {
+    return { header: [idColumn, 'Probability', labelColumn], line: (id, probability, label) => `${id},${probability},${bool(label)}` };
   }
+  return writeProbabilities
+    ? { header: [idColumn, labelColumn, 'Probability'], line: (id, probability, label) => `${id},${bool(label)},${probability}` }
+    : { header: [idColumn, labelColumn], line: (id, probability, label) => `${id},${bool(label)}` };
+}
 
-  // Build tensor
-  let featTensor = tf.tensor2d(featureRows, [featureRows.length, totalDim]);
-
-  // Adjust shape if mismatch
-  if (modelInputDim !== totalDim) {
-    if (totalDim > modelInputDim) {
-      featTensor = featTensor.slice([0, 0], [-1, modelInputDim]);
-    } else {
-      // Pad with zeros
-      const padCols = modelInputDim - totalDim;
-      const padding = tf.zeros([featureRows.length, padCols]);
-      featTensor = tf.concat([featTensor, padding], 1);
-      padding.dispose();
+/**
+Opens outPath for writing line by line. Lines go to <outPath>.partial, which close() renames to outPath, so a run that fails
+halfway (or whose submission fails the sample check) never leaves a truncated file under the real name.
+*/
+function openOutput(outPath) {
+  fs.mkdirSync(path.dirname(outPath), { recursive: true });
+  const partialPath = `${outPath}.partial`;
+  const fd = fs.openSync(partialPath, 'w');
+  return {
+    partialPath,
+    write(lines) {
+      if (lines.length > 0) fs.writeSync(fd, lines.join('\n') + '\n');
+    },
+    abort() {
+      fs.closeSync(fd);
+    },
+    close() {
+      fs.closeSync(fd);
+      fs.renameSync(partialPath, outPath);
     }
-  }
+  };
+}
 
-  // Predict
-  const probs = model.predict(featTensor);
-  const probArray = (await probs.array()).map(r => r[0]);
-  probs.dispose();
-  featTensor.dispose();
+/**
+Compares a submission with the sample submission as it is written: the sample's columns must come first in the same order
+(an extra Probability column may follow) and the IDs must be the sample's, in the same order. Returns null, with a warning,
+when the sample file does not exist.
+*/
+function sampleCheck(samplePath, columns) {
+  if (!fs.existsSync(samplePath)) {
+    console.warn(`Warning: sample submission ${samplePath} not found; skipping the submission check.`);
+    return null;
+  }
+  const lines = fs.readFileSync(samplePath, 'utf-8').split(/\r?\n/).filter(line => line !== '');
+  const sampleColumns = lines[0].split(',');
+  const sampleIds = lines.slice(1).map(line => line.split(',')[0]);
+  const problems = [];
+  if (sampleColumns.some((column, k) => columns[k] !== column)) {
+    problems.push(`columns are ${columns.join(',')}, the sample has ${sampleColumns.join(',')}`);
+  }
+  let rows = 0;
+  let mismatches = 0;
+  return {
+    addIds(ids) {
+      ids.forEach(id => {
+        if (rows < sampleIds.length && String(id) !== sampleIds[rows]) {
+          if (mismatches < 3) problems.push(`row ${rows + 1} has id ${id}, the sample has ${sampleIds[rows]}`);
+          mismatches += 1;
+        }
+        rows += 1;
+      });
+    },
+    problems() {
+      const all = [...problems];
+      if (mismatches > 3) all.push(`${mismatches - 3} more rows with a different id`);
+      if (rows !== sampleIds.length) all.push(`${rows} rows, the sample has ${sampleIds.length}`);
+      return all;
+    }
+  };
+}
 
-  // Threshold
-  const predictions = probArray.map(p => p >= 0.5);
+/**
+Scores config.paths.test with the artifacts in config.paths.artifactsDir (or the run named by prediction.run, see runs.js).
+The artifacts may hold a single model or an ensemble (see scoring.js); either way probabilities are passed through the
+saved calibrator, and a row is labeled True when its calibrated probability is at least the decision threshold.
+
+The file is streamed twice in batches of prediction.batchSize rows, so its size is not limited by memory. The first pass
+counts group and family sizes and collects the group values imputation reads over the whole file (see buildDatasetContext in
+scoring.js), and validates the rows (see drift.js); with validation.strict a failed check stops the run here. The second
+pass scores each batch and appends it to config.paths.submission in prediction.format:
+  kaggle   idColumn,labelColumn with True/False (the Kaggle submission); with prediction.writeProbabilities the calibrated
+           probability follows as an extra Probability column
+  csv      idColumn,Probability,labelColumn
+  jsonl    one { id, probability, label } object per line
+With prediction.checkSample a kaggle-format submission is checked against config.paths.sampleSubmission (see sampleCheck);
+a mismatch fails the run and leaves the output as <submission>.partial.
+With prediction.writeAttributions it also writes per-passenger occlusion attributions (see importance.js) to
+config.paths.attributions: idColumn, Probability and, for every CSV column c, attribution_c, how much c moved the probability.
+*/
+export async function predict(config) {
+  const { idColumn } = config;
+  const { batchSize, format, checkSample, writeAttributions } = config.prediction;
+  const testPath = config.paths.test;
+
+  // Load preprocessing artifacts and model(s)
+  const artifactsDir = artifactsDirFor(config);
+  const scorer = await loadScorer(artifactsDir, config);
+  const { threshold } = scorer;
+  console.log(`Scoring with ${scorer.description}, threshold ${threshold}`);
+
+  try {
+    // First pass: file-wide feature context and input validation, without keeping the rows
+    const profile = loadProfile(artifactsDir);
+    const validator = createRowValidator(profile, config);
+    let context = null;
+    let columns = null;
+    for await (const batch of readCsvBatches(testPath, batchSize)) {
+      context = scorer.buildContext(batch, context);
+      validator.add(batch);
+      columns = columns ?? Object.keys(batch[0]);
+    }
+    const validation = validator.finish();
+    console.log(`Read ${validation.rows} test rows from ${testPath}.`);
+    if (validation.rows === 0) {
+      console.error('No test rows found. Exiting.');
+      return;
+    }
+    reportValidation(scorer, validation, profile, artifactsDir, config);
+
+    // Second pass: score and write batch by batch
+    const layout = outputFormat(config);
+    const output = openOutput(config.paths.submission);
+    const check = checkSample && format === 'kaggle' ? sampleCheck(config.paths.sampleSubmission, layout.header) : null;
+    const attributionsOutput = writeAttributions ? openOutput(config.paths.attributions) : null;
+    if (layout.header) output.write([layout.header.join(',')]);
+    if (attributionsOutput) attributionsOutput.write([[idColumn, 'Probability', ...columns.map(c => `attribution_${c}`)].join(',')]);
+
+    let scored = 0;
+    try {
+      for await (const batch of readCsvBatches(testPath, batchSize)) {
+        const ids = batch.map(xs => xs[idColumn] ?? '');
+        const { probs, attributions } = attributionsOutput
+          ? await occlusionAttributions(scorer, batch, columns, context)
+          : { probs: await scorer.score(batch, context), attributions: null };
+        output.write(probs.map((p, i) => layout.line(ids[i], p, p >= threshold)));
+        if (check) check.addIds(ids);
+        if (attributions) {
+          attributionsOutput.write(attributions.map((row, i) =>
+            [ids[i], probs[i].toFixed(6), ...columns.map(c => row[c].toFixed(6))].join(',')));
+        }
+        scored += batch.length;
+        console.log(`Scored ${scored}/${validation.rows} rows`);
+      }
+    } catch (err) {
+      output.abort();
+      if (attributionsOutput) attributionsOutput.abort();
+      throw err;
+    }
 
-  // Write submission CSV
-  const outLines = ['PassengerId,Transported'];
-  for (let i = 0; i < predictions.length; i++) {
-    const pid = passengerIds[i] ?? '';
-    outLines.push(`${pid},${predictions[i] ? 'True' : 'False'}`);
+    const problems = check ? check.problems() : [];
+    if (problems.length > 0) {
+      output.abort();
+      if (attributionsOutput) attributionsOutput.abort();
+      throw new Error(`The submission does not match ${config.paths.sampleSubmission}; it was left at ${output.partialPath}:\n  - ` +
+        problems.join('\n  - '));
+    }
+    output.close();
+    console.log(`Wrote ${format} predictions to ${config.paths.submission}` + (check ? ' (matches the sample submission)' : ''));
+    if (attributionsOutput) {
+      attributionsOutput.close();
+      console.log(`Wrote attributions for ${columns.length} columns to ${config.paths.attributions}`);
+    }
+  } finally {
+    scorer.dispose();
   }
-  const outPath = '../data/submission.csv';
-  fs.writeFileSync(outPath, outLines.join('\n'));
-  console.log(`Wrote predictions to ${outPath}`);
 }
-
-main().catch(err => {
-  console.error(err);
-  process.exit(1);
-});
\ No newline at end of file
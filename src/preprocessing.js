@@ -0,0 +1,275 @@
+/**
+The shared preprocessing step used by training, prediction and any other tool that needs model-ready feature vectors.
+A Preprocessor is fitted once on (imputed, feature-engineered) training rows and then turns any row into the flat numeric
+vector the model expects:
+  [ standardized numeric features | one-hot(categorical A) | one-hot(categorical B) | ... ]
+Numeric values are mean-imputed and standardized with the training mean/std; categorical values are one-hot encoded against the
+training vocabulary, with missing and unseen tokens mapped to the __MISSING__ bucket. These are the fallbacks for whatever the
+configured imputation (see imputation.js), which runs on the raw rows before feature engineering, left missing.
+
+Keeping fit and transform in one place guarantees that train.js and prediction.js encode rows identically. The fitted
+state is saved as model_artifacts/preprocessing.json (toJSON/fromJSON) with a schemaVersion: bump PREPROCESSING_SCHEMA_VERSION
+whenever the layout or meaning of a field changes, so an incompatible artifact is rejected instead of producing wrong
+vectors. Version 2 added the imputation state; version 1 artifacts still load, without imputation, as they were trained.
+*/
+
+export const PREPROCESSING_SCHEMA_VERSION = 2;
+
+const READABLE_SCHEMA_VERSIONS = [1, PREPROCESSING_SCHEMA_VERSION];
+
+export const MISSING_TOKEN = '__MISSING__';
+
+export class Preprocessor {
+  /**
+  features is the feature engineering config (see features.js) the rows were produced with, and imputation the fitted
+  imputation state (see fitImputation in imputation.js, null for none) applied to the raw rows before that. The preprocessor
+  applies neither itself, but carries both so that whoever loads the artifact can rebuild the same rows before calling
+  transform (see prepareRows in scoring.js).
+  */
+  constructor({ features = null, imputation = null } = {}) {
+    this.features = features;
+    this.imputation = imputation;
+    // The schemaVersion of the artifact this preprocessor was read from; fitted ones are of the current version
+    this.schemaVersion = PREPROCESSING_SCHEMA_VERSION;
+    this.fitted = false;
+  }
+
+  /**
+  Fits the feature schema, numeric mean/std, categorical vocabularies and one-hot layout on a tf.data.Dataset of feature objects
+  (one plain object per row, keyed by column name). The dataset is iterated several times, so it must be re-iterable
+  (tf.data.array and tf.data.csv datasets both are). Returns the preprocessor for chaining.
+  */
+  async fit(dataset) {
+    // Infer feature names from the first row and each column's type from its first non-missing value.
+    // Training rows arrive shuffled, so the first row alone may have a missing (undefined) numeric value.
+    let featureNames = [];
+    let numericIndices = [];
+    let stringIndices = [];
+    const columnTypes = {};
+    await dataset.forEachAsync(xs => {
+      if (featureNames.length === 0) featureNames = Object.keys(xs);
+      featureNames.forEach(name => {
+        const v = xs[name];
+        if (columnTypes[name] || v === null || v === undefined || v === '') return;
+        columnTypes[name] = typeof v === 'number' ? 'number' : 'string';
+      });
+    });
+    featureNames.forEach((name, idx) => {
+      if (columnTypes[name] === 'number') numericIndices.push(idx);
+      else stringIndices.push(idx);
+    });
+
+    // Means (the imputation values) and population stds of the numeric features, over finite values only. A column with no
+    // finite value gets mean 0 and std 1; the variance is clamped so round-off never makes it negative.
+    const numCount = numericIndices.length;
+    const sums = new Array(numCount).fill(0);
+    const sumSquares = new Array(numCount).fill(0);
+    const counts = new Array(numCount).fill(0);
+
+    await dataset.forEachAsync(xs => {
+      numericIndices.forEach((colIdx, pos) => {
+        const v = xs[featureNames[colIdx]];
+        if (typeof v === 'number' && Number.isFinite(v)) {
+          sums[pos] += v;
+          sumSquares[pos] += v * v;
+          counts[pos] += 1;
+        }
+      });
+    });
+
+    const numericMeans = sums.map((s, i) => counts[i] > 0 ? s / counts[i] : 0);
+    const numericStds = numericMeans.map((m, i) => {
+      if (counts[i] === 0) return 1;
+      return Math.sqrt(Math.max(sumSquares[i] / counts[i] - m * m, 1e-12));
+    });
+
+    // Vocabulary of every categorical feature, always including __MISSING__ and sorted so the layout is reproducible
+    const vocabSets = {};
+    stringIndices.forEach(i => { vocabSets[featureNames[i]] = new Set([MISSING_TOKEN]); });
+    await dataset.forEachAsync(xs => {
+      stringIndices.forEach(i => {
+        const key = featureNames[i];
+        const v = xs[key];
+        vocabSets[key].add(v === null || v === undefined || v === '' ? MISSING_TOKEN : String(v));
+      });
+    });
+
+    const vocabByFeature = {};
+    const indexByFeature = {};
+    stringIndices.forEach(i => {
+      const key = featureNames[i];
+      const vocab = Array.from(vocabSets[key]).sort();
+      vocabByFeature[key] = vocab;
+      indexByFeature[key] = Object.fromEntries(vocab.map((tok, idx) => [tok, idx]));
+    });
+
+    // Layout of the flat vector: the numeric features first, then one one-hot segment per categorical feature
+    const oneHotOffsets = {};
+    let totalDim = numericIndices.length;
+    stringIndices.forEach(i => {
+      const name = featureNames[i];
+      oneHotOffsets[name] = { offset: totalDim, size: vocabByFeature[name].length };
+      totalDim += vocabByFeature[name].length;
+    });
+
+    this.featureNames = featureNames;
+    this.numericIndices = numericIndices;
+    this.stringIndices = stringIndices;
+    this.numericMeans = numericMeans;
+    this.numericStds = numericStds;
+    this.vocabByFeature = vocabByFeature;
+    this.indexByFeature = indexByFeature;
+    this.oneHotOffsets = oneHotOffsets;
+    this.totalDim = totalDim;
+    this.fitted = true;
+    return this;
+  }
+
+  /**
+  Encodes one feature object into a plain array of length totalDim. Numeric columns are mean-imputed when missing or non-finite
+  and standardized (a std of 0 is treated as 1). For every categorical column exactly one slot of its one-hot segment is set:
+  the token's index, or the __MISSING__ index for null/undefined/empty and unseen values.
+  */
+  transform(row) {
+    if (!this.fitted) throw new Error('Preprocessor.transform called before fit/fromJSON');
+    const vec = new Array(this.totalDim).fill(0);
+
+    // Numeric with mean imputation + standardization
+    this.numericIndices.forEach((colIdx, pos) => {
+      const name = this.featureNames[colIdx];
+      const v = row[name];
+      const mean = this.numericMeans[pos];
+      const std = this.numericStds[pos] > 0 ? this.numericStds[pos] : 1;
+      const imputed = (typeof v === 'number' && Number.isFinite(v)) ? v : mean;
+      vec[pos] = (imputed - mean) / std;
+    });
+
+    // String one-hot
+    this.stringIndices.forEach(i => {
+      const name = this.featureNames[i];
+      const { offset, size } = this.oneHotOffsets[name];
+      let v = row[name];
+      if (v === null || v === undefined || v === '') v = MISSING_TOKEN;
+      v = String(v);
+      const map = this.indexByFeature[name];
+      const idx = map[v] !== undefined ? map[v] : map[MISSING_TOKEN];
+      if (idx >= 0 && idx < size) vec[offset + idx] = 1;
+    });
+
+    return vec;
+  }
+
+  /**
+  Describes the model inputs for an input mode (see model.js). 'onehot' is a single input named "features" holding the flat
+  transform() vector. 'embedding' is one "numeric" input with the standardized numeric features (omitted when there are none)
+  followed by one "cat_<feature>" input per categorical feature holding its vocabulary index.
+  */
+  inputLayout(mode = 'onehot') {
+    if (!this.fitted) throw new Error('Preprocessor.inputLayout called before fit/fromJSON');
+    if (mode === 'onehot') return [{ name: 'features', kind: 'flat', size: this.totalDim }];
+    if (mode !== 'embedding') throw new Error(`Unknown input mode "${mode}"`);
+    const layout = [];
+    if (this.numericIndices.length > 0) layout.push({ name: 'numeric', kind: 'numeric', size: this.numericIndices.length });
+    this.stringIndices.forEach(i => {
+      const feature = this.featureNames[i];
+      layout.push({
+        name: 'cat_' + feature.replace(/[^A-Za-z0-9_]/g, '_'),
+        kind: 'categorical',
+        feature,
+        vocabSize: this.vocabByFeature[feature].length
+      });
+    });
+    return layout;
+  }
+
+  /**
+  Encodes one feature object for the given input layout, returning { inputName: number[] }. Numeric values and category
+  indices come from transform(), so every input mode sees exactly the same imputation, scaling and unknown-token handling.
+  */
+  transformInputs(row, layout) {
+    return this.inputsFromVector(this.transform(row), layout);
+  }
+
+  // Splits a transform() vector into the inputs of a layout; used directly by code that edits vectors (see importance.js)
+  inputsFromVector(vec, layout) {
+    const out = {};
+    layout.forEach(input => {
+      if (input.kind === 'flat') {
+        out[input.name] = vec;
+      } else if (input.kind === 'numeric') {
+        out[input.name] = vec.slice(0, this.numericIndices.length);
+      } else {
+        const { offset, size } = this.oneHotOffsets[input.feature];
+        const idx = vec.slice(offset, offset + size).indexOf(1);
+        out[input.name] = [idx >= 0 ? idx : this.indexByFeature[input.feature][MISSING_TOKEN]];
+      }
+    });
+    return out;
+  }
+
+  // Serializable artifact (what gets written to preprocessing.json). indexByFeature is derived from the vocabularies and not stored.
+  toJSON() {
+    if (!this.fitted) throw new Error('Cannot serialize a Preprocessor that has not been fitted');
+    return {
+      schemaVersion: PREPROCESSING_SCHEMA_VERSION,
+      features: this.features,
+      imputation: this.imputation,
+      featureNames: this.featureNames,
+      numericIndices: this.numericIndices,
+      stringIndices: this.stringIndices,
+      numericMeans: this.numericMeans,
+      numericStds: this.numericStds,
+      vocabByFeature: this.vocabByFeature,
+      oneHotOffsets: this.oneHotOffsets,
+      totalDim: this.totalDim
+    };
+  }
+
+  /**
+  Rebuilds a fitted Preprocessor from a parsed preprocessing.json. Artifacts without a schemaVersion (written before this module
+  existed) or with a version this code cannot read are rejected: retrain to produce a compatible artifact.
+  */
+  static fromJSON(json) {
+    if (!json || typeof json !== 'object') {
+      throw new Error('Invalid preprocessing artifact: expected a JSON object');
+    }
+    if (json.schemaVersion === undefined) {
+      throw new Error(
+        'Incompatible preprocessing artifact: it has no schemaVersion (written by an older train.js). ' +
+        `Retrain to produce a version ${PREPROCESSING_SCHEMA_VERSION} artifact.`
+      );
+    }
+    if (!READABLE_SCHEMA_VERSIONS.includes(json.schemaVersion)) {
+      throw new Error(
+        `Incompatible preprocessing artifact: schemaVersion ${json.schemaVersion}, ` +
+        `but this code reads versions ${READABLE_SCHEMA_VERSIONS.join(' and ')}. Retrain or use a matching version of the code.`
+      );
+    }
+    const required = ['featureNames', 'numericIndices', 'stringIndices', 'numericMeans', 'numericStds', 'vocabByFeature', 'oneHotOffsets', 'totalDim'];
+    const missing = required.filter(key => json[key] === undefined);
+    if (missing.length > 0) {
+      throw new Error(`Invalid preprocessing artifact: missing ${missing.join(', ')}`);
+    }
+
+    const preprocessor = new Preprocessor({ features: json.features ?? null, imputation: json.imputation ?? null });
+    preprocessor.schemaVersion = json.schemaVersion;
+    preprocessor.featureNames = json.featureNames;
+    preprocessor.numericIndices = json.numericIndices;
+    preprocessor.stringIndices = json.stringIndices;
+    preprocessor.numericMeans = json.numericMeans;
+    preprocessor.numericStds = json.numericStds;
+    preprocessor.vocabByFeature = json.vocabByFeature;
+    preprocessor.oneHotOffsets = json.oneHotOffsets;
+    preprocessor.totalDim = json.totalDim;
+
+    // Rebuild index maps (token -> position) for string features
+    preprocessor.indexByFeature = {};
+    Object.entries(json.vocabByFeature).forEach(([feat, vocab]) => {
+      const map = {};
+      vocab.forEach((tok, i) => { map[tok] = i; });
+      preprocessor.indexByFeature[feat] = map;
+    });
+    preprocessor.fitted = true;
+    return preprocessor;
+  }
+}
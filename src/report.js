@@ -0,0 +1,155 @@
+/**
+Renders an evaluation report (the object evaluate.js writes as report.json) as one self-contained HTML page: inline CSS,
+the ROC and precision-recall curves as inline SVG, and plain tables. It has no scripts and no external assets, so the file
+can be attached to a review or opened straight from disk.
+*/
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function fmt(value, digits = 4) {
+  if (value === null || value === undefined) return 'n/a';
+  return typeof value === 'number' ? value.toFixed(digits) : escapeHtml(value);
+}
+
+function pct(value) {
+  return value === null || value === undefined ? 'n/a' : (100 * value).toFixed(1) + '%';
+}
+
+const SIZE = 320;
+const MARGIN = 44;
+
+/**
+Draws a unit-square line chart: points are { x, y } in [0, 1]. With a baseline, a dashed reference line is drawn from
+baseline.from to baseline.to (the chance diagonal for ROC, the positive rate for PR).
+*/
+function lineChart({ title, xLabel, yLabel, points, baseline }) {
+  const sx = x => (MARGIN + x * SIZE).toFixed(1);
+  const sy = y => (MARGIN + (1 - y) * SIZE).toFixed(1);
+  const ticks = [0, 0.25, 0.5, 0.75, 1];
+  const grid = ticks.map(t => `
+    <line x1="${sx(t)}" y1="${sy(0)}" x2="${sx(t)}" y2="${sy(1)}" class="grid"/>
+    <line x1="${sx(0)}" y1="${sy(t)}" x2="${sx(1)}" y2="${sy(t)}" class="grid"/>
+    <text x="${sx(t)}" y="${(MARGIN + SIZE + 16).toFixed(1)}" text-anchor="middle">${t}</text>
+    <text x="${MARGIN - 6}" y="${(Number(sy(t)) + 4).toFixed(1)}" text-anchor="end">${t}</text>`).join('');
+  const reference = baseline
+    ? `<line x1="${sx(baseline.from[0])}" y1="${sy(baseline.from[1])}" x2="${sx(baseline.to[0])}" y2="${sy(baseline.to[1])}" class="baseline"/>`
+    : '';
+  const line = points.length > 0
+    ? `<polyline points="${points.map(p => `${sx(p.x)},${sy(p.y)}`).join(' ')}" class="curve"/>`
+    : `<text x="${sx(0.5)}" y="${sy(0.5)}" text-anchor="middle">not defined: only one class in the data</text>`;
+  const width = SIZE + 2 * MARGIN;
+  return `<figure>
+  <svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${width}" viewBox="0 0 ${width} ${width}" role="img" aria-label="${escapeHtml(title)}">
+    <rect x="${MARGIN}" y="${MARGIN}" width="${SIZE}" height="${SIZE}" class="frame"/>${grid}
+    ${reference}
+    ${line}
+    <text x="${sx(0.5)}" y="${MARGIN + SIZE + 36}" text-anchor="middle">${escapeHtml(xLabel)}</text>
+    <text x="12" y="${sy(0.5)}" text-anchor="middle" transform="rotate(-90 12 ${sy(0.5)})">${escapeHtml(yLabel)}</text>
+    <text x="${sx(0.5)}" y="24" text-anchor="middle" class="title">${escapeHtml(title)}</text>
+  </svg>
+</figure>`;
+}
+
+function confusionTable(m) {
+  return `<table class="confusion">
+  <tr><th></th><th>predicted True</th><th>predicted False</th></tr>
+  <tr><th>actual True</th><td>${m.tp}</td><td>${m.fn}</td></tr>
+  <tr><th>actual False</th><td>${m.fp}</td><td>${m.tn}</td></tr>
+</table>`;
+}
+
+function segmentTable(column, segments) {
+  const rows = segments.map(s => `  <tr><td>${escapeHtml(s.value)}</td><td>${s.rows}</td><td>${fmt(s.accuracy)}</td>` +
+    `<td>${fmt(s.logLoss)}</td><td>${pct(s.positiveRate)}</td><td>${pct(s.predictedPositiveRate)}</td></tr>`).join('\n');
+  return `<h3>${escapeHtml(column)}</h3>
+<table>
+  <tr><th>value</th><th>rows</th><th>accuracy</th><th>log-loss</th><th>actual True</th><th>predicted True</th></tr>
+${rows}
+</table>`;
+}
+
+export function renderHtmlReport(report) {
+  const m = report.metrics;
+  const summary = [
+    ['rows', m.rows],
+    ['decision threshold', fmt(m.threshold)],
+    ['accuracy', fmt(m.accuracy)],
+    ['precision', fmt(m.precision)],
+    ['recall', fmt(m.recall)],
+    ['F1', fmt(m.f1)],
+    ['log-loss', fmt(m.logLoss)],
+    ['ROC-AUC', fmt(m.rocAuc)],
+    ['PR-AUC (average precision)', fmt(m.prAuc)],
+    ['actual True', pct(m.positiveRate)],
+    ['predicted True', pct(m.predictedPositiveRate)]
+  ].map(([name, value]) => `  <tr><th>${name}</th><td>${value}</td></tr>`).join('\n');
+
+  const roc = lineChart({
+    title: `ROC curve (AUC ${fmt(m.rocAuc)})`,
+    xLabel: 'false positive rate',
+    yLabel: 'true positive rate',
+    points: report.curves.roc.map(p => ({ x: p.fpr, y: p.tpr })),
+    baseline: { from: [0, 0], to: [1, 1] }
+  });
+  const pr = lineChart({
+    title: `Precision-recall curve (AP ${fmt(m.prAuc)})`,
+    xLabel: 'recall',
+    yLabel: 'precision',
+    points: report.curves.pr.map(p => ({ x: p.recall, y: p.precision })),
+    baseline: m.positiveRate === null ? null : { from: [0, m.positiveRate], to: [1, m.positiveRate] }
+  });
+  const segments = Object.entries(report.segments).map(([column, s]) => segmentTable(column, s)).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Evaluation report: ${escapeHtml(report.data)}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; color: #222; max-width: 960px; }
+  table { border-collapse: collapse; margin: 0.5rem 0 1.5rem; }
+  th, td { border: 1px solid #ccc; padding: 0.25rem 0.6rem; text-align: right; }
+  th { background: #f3f3f3; text-align: left; }
+  .meta td { text-align: left; }
+  .charts { display: flex; flex-wrap: wrap; gap: 1rem; }
+  figure { margin: 0; }
+  svg text { font-size: 11px; fill: #444; }
+  svg .title { font-size: 13px; fill: #222; }
+  .frame { fill: none; stroke: #888; }
+  .grid { stroke: #eee; }
+  .baseline { stroke: #aaa; stroke-dasharray: 4 4; }
+  .curve { fill: none; stroke: #1f6feb; stroke-width: 2; }
+</style>
+</head>
+<body>
+<h1>Evaluation report</h1>
+<table class="meta">
+  <tr><th>data</th><td>${escapeHtml(report.data)}${report.inSample ? ' (the training file: in-sample scores)' : ''}</td></tr>
+  <tr><th>artifacts</th><td>${escapeHtml(report.artifactsDir)}</td></tr>
+  <tr><th>model</th><td>${escapeHtml(report.model)}</td></tr>
+  <tr><th>model version</th><td>${escapeHtml(report.modelVersion)}</td></tr>
+  <tr><th>created</th><td>${escapeHtml(report.createdAt)}</td></tr>
+</table>
+<h2>Metrics</h2>
+<table>
+${summary}
+</table>
+<h2>Confusion matrix</h2>
+${confusionTable(m.confusionMatrix)}
+<h2>Curves</h2>
+<div class="charts">
+${roc}
+${pr}
+</div>
+<h2>Accuracy by segment</h2>
+${segments}
+</body>
+</html>
+`;
+}
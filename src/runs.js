@@ -0,0 +1,254 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { execFileSync } from 'child_process';
+import { REPO_ROOT, mergeConfig } from './config.js';
+import { resolveModelSpec } from './model.js';
+import { resolveFeatureConfig } from './features.js';
+import { resolveImputationConfig } from './imputation.js';
+import { SHARED_ENTRIES } from './artifacts.js';
+
+/**
+Experiment tracking and a small model registry. With tracking.enabled, every train and ensemble run gets a run ID (UTC start
+time plus a random suffix, e.g. 20261018-142530-a1b2). Its TensorBoard logs go to <runsDir>/<runId>/logs instead of
+paths.logDir. Once the artifacts are written to paths.artifactsDir, the ones the run wrote are archived to <runsDir>/<runId>/
+next to run.json:
+  id, command, createdAt, durationMs
+  git              { commit, dirty } of the checkout the run was started from, null outside a git checkout
+  data             { train: { path, sha256, bytes } }
+  hyperparameters  the resolved model spec, training, features, imputation and calibration settings (plus ensemble settings)
+  metrics          held-out metrics of the saved model (see runMetrics)
+  history          per-epoch training metrics of the saved network, null for baselines and ensembles
+paths.artifactsDir keeps holding the latest run, so train followed by predict works as before.
+
+Tags live in <runsDir>/tags.json as { tag: runId }. A tag names one run at a time, so tagging another run "production" moves
+the tag. Wherever a run is expected, a tag, a run ID or a unique prefix of one is accepted. predict, evaluate and serve load
+a run with prediction.run (--run) instead of paths.artifactsDir.
+*/
+
+export const RUN_FILE = 'run.json';
+
+const TAG_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+function tagsPath(runsDir) {
+  return path.join(runsDir, 'tags.json');
+}
+
+function loadTags(runsDir) {
+  const p = tagsPath(runsDir);
+  return fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf-8')) : {};
+}
+
+function newRunId(date) {
+  const stamp = date.toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+function fileDigest(file) {
+  const { size } = fs.statSync(file);
+  return { path: file, sha256: crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex'), bytes: size };
+}
+
+// Commit and dirty flag of the repository checkout, or null when git or the checkout is not available
+function gitInfo() {
+  const git = args => execFileSync('git', args, { cwd: REPO_ROOT, encoding: 'utf-8', stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  try {
+    return { commit: git(['rev-parse', 'HEAD']), dirty: git(['status', '--porcelain']) !== '' };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Every run with a run.json in runsDir, oldest first
+export function listRuns(runsDir) {
+  if (!fs.existsSync(runsDir)) return [];
+  return fs.readdirSync(runsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(runsDir, entry.name, RUN_FILE)))
+    .map(entry => JSON.parse(fs.readFileSync(path.join(runsDir, entry.name, RUN_FILE), 'utf-8')))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+// Resolves a tag, run ID or unique run ID prefix to a run ID
+export function resolveRunId(runsDir, ref) {
+  const tags = loadTags(runsDir);
+  if (tags[ref]) return tags[ref];
+  const ids = listRuns(runsDir).map(run => run.id);
+  if (ids.includes(ref)) return ref;
+  const matches = ids.filter(id => id.startsWith(ref));
+  if (matches.length === 1) return matches[0];
+  if (matches.length > 1) throw new Error(`Run "${ref}" is ambiguous: ${matches.join(', ')}`);
+  throw new Error(`No run or tag "${ref}" in ${runsDir}`);
+}
+
+// The artifacts directory to load: the run named by prediction.run, or paths.artifactsDir when that is null
+export function artifactsDirFor(config) {
+  const { run } = config.prediction;
+  if (run === null) return config.paths.artifactsDir;
+  return path.join(config.paths.runsDir, resolveRunId(config.paths.runsDir, run));
+}
+
+/**
+Starts tracking a run of command. Returns { run, config }: run is null with tracking disabled, and config is the config to
+train with, whose TensorBoard logs go into the run directory.
+*/
+export function startRun(config, command) {
+  const { runsDir, artifactsDir, logDir } = config.paths;
+  if (!config.tracking.enabled) {
+    // A run.json left by an earlier tracked run would describe the wrong model
+    fs.rmSync(path.join(artifactsDir, RUN_FILE), { force: true });
+    return { run: null, config };
+  }
+  const startedAt = new Date();
+  const id = newRunId(startedAt);
+  const dir = path.join(runsDir, id);
+  fs.mkdirSync(dir, { recursive: true });
+  console.log(`Run ${id} (${dir})`);
+  const run = { id, command, dir, startedAt, git: gitInfo(), data: { train: fileDigest(config.paths.train) } };
+  return { run, config: logDir === null ? config : mergeConfig(config, { paths: { logDir: path.join(dir, 'logs') } }) };
+}
+
+// Held-out metrics of a saved model, from the calibration fitted on its held-out predictions (see calibration.js)
+function runMetrics(calibration) {
+  const f = calibration.fittedOn;
+  return {
+    heldOutRows: f.rows,
+    logLoss: f.logLossBefore,
+    calibratedLogLoss: f.logLossAfter,
+    accuracy: f.accuracyAtHalf,
+    threshold: calibration.threshold,
+    accuracyAtThreshold: f.accuracyAtThreshold
+  };
+}
+
+/**
+Writes run.json into paths.artifactsDir and archives what the run wrote there to the run directory: the given entries of the
+artifacts directory (see SINGLE_MODEL_ENTRIES and ENSEMBLE_ENTRIES in artifacts.js) that exist, the profile, the config and
+run.json. Anything else in the artifacts directory is left out of the archive. Does nothing when run is null (tracking
+disabled).
+*/
+export function finishRun(run, config, { entries, calibration, history = null, hyperparameters = {} }) {
+  if (!run) return;
+  const record = {
+    id: run.id,
+    command: run.command,
+    createdAt: run.startedAt.toISOString(),
+    durationMs: Date.now() - run.startedAt.getTime(),
+    git: run.git,
+    data: run.data,
+    hyperparameters: {
+      model: resolveModelSpec(config.model),
+      training: config.training,
+      features: resolveFeatureConfig(config.features),
+      imputation: resolveImputationConfig(config.imputation),
+      calibration: config.calibration,
+      ...hyperparameters
+    },
+    metrics: runMetrics(calibration),
+    history
+  };
+  const { artifactsDir } = config.paths;
+  fs.writeFileSync(path.join(artifactsDir, RUN_FILE), JSON.stringify(record, null, 2));
+  [...entries, ...SHARED_ENTRIES, RUN_FILE]
+    .filter(name => fs.existsSync(path.join(artifactsDir, name)))
+    .forEach(name => fs.cpSync(path.join(artifactsDir, name), path.join(run.dir, name), { recursive: true }));
+  console.log(`Archived run ${run.id} to ${run.dir}`);
+}
+
+function tagsByRun(runsDir) {
+  const byRun = {};
+  Object.entries(loadTags(runsDir)).forEach(([tag, id]) => { (byRun[id] = byRun[id] || []).push(tag); });
+  return byRun;
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((_, c) => Math.max(...rows.map(row => String(row[c]).length)));
+  rows.forEach(row => console.log(row.map((cell, c) => String(cell).padEnd(widths[c])).join('  ').trimEnd()));
+}
+
+const f4 = v => (typeof v === 'number' ? v.toFixed(4) : '-');
+
+function modelLabel(run) {
+  return run.hyperparameters.ensemble ? `ensemble/${run.hyperparameters.ensemble.strategy}` : run.hyperparameters.model.type;
+}
+
+// `runs` command: one line per run in paths.runsDir
+export function listRunsCommand(config) {
+  const { runsDir } = config.paths;
+  const runs = listRuns(runsDir);
+  if (runs.length === 0) {
+    console.log(`No runs in ${runsDir}`);
+    return [];
+  }
+  const tags = tagsByRun(runsDir);
+  printTable([
+    ['ID', 'CREATED', 'COMMAND', 'MODEL', 'ROWS', 'LOG-LOSS', 'ACCURACY', 'COMMIT', 'TAGS'],
+    ...runs.map(run => [
+      run.id,
+      run.createdAt.slice(0, 19).replace('T', ' '),
+      run.command,
+      modelLabel(run),
+      run.metrics.heldOutRows,
+      f4(run.metrics.calibratedLogLoss),
+      f4(run.metrics.accuracyAtThreshold),
+      run.git ? run.git.commit.slice(0, 7) + (run.git.dirty ? '+' : '') : '-',
+      (tags[run.id] || []).join(',')
+    ])
+  ]);
+  return runs;
+}
+
+// Flattens nested hyperparameters into { 'model.dropout': 0.2, ... } for a side-by-side comparison
+function flatten(value, prefix = '', out = {}) {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+    Object.entries(value).forEach(([key, v]) => flatten(v, prefix ? `${prefix}.${key}` : key, out));
+  } else {
+    out[prefix] = JSON.stringify(value);
+  }
+  return out;
+}
+
+/**
+`compare <run> <run> [...]` command: the runs side by side with their metrics, data hashes, commits and every
+hyperparameter that differs between them.
+*/
+export function compareRunsCommand(config, refs) {
+  if (refs.length < 2) throw new Error('compare needs at least two runs, e.g. compare production 20261018-142530');
+  const { runsDir } = config.paths;
+  const runs = refs.map(ref => {
+    const id = resolveRunId(runsDir, ref);
+    return JSON.parse(fs.readFileSync(path.join(runsDir, id, RUN_FILE), 'utf-8'));
+  });
+  const flat = runs.map(run => flatten(run.hyperparameters));
+  const keys = [...new Set(flat.flatMap(Object.keys))].sort();
+  const differing = keys.filter(key => new Set(flat.map(f => f[key])).size > 1);
+  printTable([
+    ['', ...runs.map(run => run.id)],
+    ['model', ...runs.map(modelLabel)],
+    ['held-out rows', ...runs.map(run => run.metrics.heldOutRows)],
+    ['log-loss', ...runs.map(run => f4(run.metrics.logLoss))],
+    ['calibrated log-loss', ...runs.map(run => f4(run.metrics.calibratedLogLoss))],
+    ['accuracy at 0.5', ...runs.map(run => f4(run.metrics.accuracy))],
+    ['accuracy at threshold', ...runs.map(run => f4(run.metrics.accuracyAtThreshold))],
+    ['threshold', ...runs.map(run => f4(run.metrics.threshold))],
+    ['train data sha256', ...runs.map(run => run.data.train.sha256.slice(0, 12))],
+    ['git commit', ...runs.map(run => (run.git ? run.git.commit.slice(0, 7) + (run.git.dirty ? '+' : '') : '-'))],
+    ...differing.map(key => [key, ...flat.map(f => f[key] ?? '-')])
+  ]);
+  if (differing.length === 0) console.log('(no hyperparameter differences)');
+  return runs;
+}
+
+// `tag <run> <tag>` command: points tag at the run, moving it off any run it named before
+export function tagRunCommand(config, args) {
+  if (args.length !== 2) throw new Error('tag needs a run and a tag name, e.g. tag 20261018-142530 production');
+  const [ref, tag] = args;
+  if (!TAG_PATTERN.test(tag)) throw new Error(`Invalid tag "${tag}": use letters, digits, ".", "_" and "-"`);
+  const { runsDir } = config.paths;
+  const id = resolveRunId(runsDir, ref);
+  const tags = loadTags(runsDir);
+  const previous = tags[tag];
+  tags[tag] = id;
+  fs.writeFileSync(tagsPath(runsDir), JSON.stringify(tags, null, 2));
+  console.log(previous && previous !== id ? `Moved tag ${tag} from ${previous} to ${id}` : `Tagged ${id} as ${tag}`);
+  return { tag, id };
+}
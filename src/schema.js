@@ -0,0 +1,91 @@
+import { SPEND_COLUMNS } from './features.js';
+
+/**
+Schema of a raw passenger record: the columns of train.csv/test.csv (without the label) and the type of each. Records that
+do not come from a CSV file, such as the JSON bodies sent to the inference server, are checked against it and then normalized
+to what readCsvRows produces for the same passenger: numbers as numbers, booleans as the strings 'True'/'False', and missing
+values (null, '' or an absent key) as undefined. Every column may be missing; preprocessing imputes it.
+*/
+
+export const RAW_COLUMNS = {
+  PassengerId: 'string',
+  HomePlanet: 'string',
+  CryoSleep: 'boolean',
+  Cabin: 'string',
+  Destination: 'string',
+  Age: 'number',
+  VIP: 'boolean',
+  ...Object.fromEntries(SPEND_COLUMNS.map(c => [c, 'number'])),
+  Name: 'string'
+};
+
+// Identifier columns whose structure feature engineering relies on (see features.js)
+const FORMATS = {
+  PassengerId: { pattern: /^\d+_\d+$/, example: '0013_01' },
+  Cabin: { pattern: /^[^/]+\/\d+\/[^/]+$/, example: 'B/0/P' }
+};
+
+const BOOLEAN_STRINGS = { true: 'True', false: 'False' };
+
+export function isMissing(v) {
+  return v === null || v === undefined || v === '';
+}
+
+/**
+What is wrong with one non-missing value of a column of the given type, e.g. 'must be a number, got "abc"', or null when it
+is fine. Besides the records below, this checks the columns of CSV files before inference (see drift.js).
+*/
+export function valueProblem(key, value, type = RAW_COLUMNS[key]) {
+  if (type === 'number') {
+    const num = typeof value === 'string' ? Number(value) : value;
+    if (typeof num !== 'number' || !Number.isFinite(num)) return `must be a number, got ${JSON.stringify(value)}`;
+    if (num < 0) return `must not be negative, got ${num}`;
+  } else if (type === 'boolean') {
+    if (typeof value !== 'boolean' && !(String(value).toLowerCase() in BOOLEAN_STRINGS)) {
+      return `must be true or false, got ${JSON.stringify(value)}`;
+    }
+  } else if (typeof value !== 'string') {
+    return `must be a string, got ${JSON.stringify(value)}`;
+  } else if (FORMATS[key] && !FORMATS[key].pattern.test(value)) {
+    return `must look like "${FORMATS[key].example}", got ${JSON.stringify(value)}`;
+  }
+  return null;
+}
+
+/**
+Returns a list of problems with one record, each prefixed with `where` (e.g. "records[3]"). Keys outside RAW_COLUMNS are
+rejected so a misspelled column is reported instead of being treated as missing; labelColumn is allowed and ignored.
+*/
+export function recordErrors(record, where, { labelColumn } = {}) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return [`${where} must be a JSON object with passenger fields`];
+  }
+  const errors = [];
+  Object.entries(record).forEach(([key, value]) => {
+    const type = RAW_COLUMNS[key];
+    if (!type) {
+      if (key !== labelColumn) errors.push(`${where}.${key} is not a known column (known: ${Object.keys(RAW_COLUMNS).join(', ')})`);
+      return;
+    }
+    if (isMissing(value)) return;
+    const problem = valueProblem(key, value, type);
+    if (problem) errors.push(`${where}.${key} ${problem}`);
+  });
+  if (errors.length === 0 && !Object.keys(record).some(key => RAW_COLUMNS[key])) {
+    errors.push(`${where} has none of the passenger columns`);
+  }
+  return errors;
+}
+
+// Converts a record that passed recordErrors into the row form readCsvRows produces
+export function normalizeRecord(record) {
+  const row = {};
+  Object.entries(RAW_COLUMNS).forEach(([key, type]) => {
+    const value = record[key];
+    if (isMissing(value)) row[key] = undefined;
+    else if (type === 'number') row[key] = Number(value);
+    else if (type === 'boolean') row[key] = BOOLEAN_STRINGS[String(value).toLowerCase()];
+    else row[key] = value;
+  });
+  return row;
+}
@@ -0,0 +1,180 @@
+import fs from 'fs';
+import path from 'path';
+import { resolveFeatureConfig, buildFeatureContext, engineerFeatures } from './features.js';
+import { groupNeeds, buildImputationContext, imputeRow } from './imputation.js';
+import { loadPreprocessor, loadModel, loadCalibration, ensembleManifestPath, loadEnsembleManifest } from './artifacts.js';
+import { calibrate } from './calibration.js';
+import { combineProbabilities } from './combine.js';
+
+/**
+Turning raw CSV rows into calibrated probabilities with saved artifacts. This is shared by the predict and evaluate commands
+so both score rows exactly the same way. loadScorer hides whether an artifacts directory holds a single model or an ensemble
+(ensemble.json plus one artifacts directory per member, see ensemble.js): either way the caller gets a scorer with
+score(rawRows, context) returning calibrated probabilities (context as in scoreRows), buildContext(rawRows, context) to
+collect that context over a file read in batches, the decision threshold to apply, a JSON summary of what was loaded (info),
+inputMismatches() (see learners.js; ensemble members are prefixed with their directory) and dispose().
+*/
+
+/**
+Builds (or, given context, extends) the file-wide context that preparing rawRows for the given preprocessors reads: group and
+family sizes (see buildFeatureContext in features.js) and the group values of their imputation rules (see
+buildImputationContext in imputation.js).
+*/
+export function buildDatasetContext(preprocessors, rawRows, context = null) {
+  const datasetContext = context ? buildFeatureContext(rawRows, context) : buildFeatureContext(rawRows);
+  const needs = new Map(preprocessors.flatMap(p => groupNeeds(p.imputation)).map(need => [`${need.key}:${need.column}`, need]));
+  return buildImputationContext(rawRows, [...needs.values()], datasetContext);
+}
+
+/**
+Turns raw CSV rows into the feature rows the preprocessor was fitted on: the saved imputation first, then feature engineering.
+A preprocessor without imputation or `features` config (trained before they existed, or on raw columns) skips that step.
+Group values and sizes come from rawRows, unless a context built over a larger file is passed (see buildDatasetContext).
+*/
+export function prepareRows(preprocessor, rawRows, context = null) {
+  const { features, imputation } = preprocessor;
+  const datasetContext = context || buildDatasetContext([preprocessor], rawRows);
+  const imputed = imputation ? rawRows.map(xs => imputeRow(xs, imputation, datasetContext)) : rawRows;
+  if (!features) return imputed;
+  const featureConfig = resolveFeatureConfig(features);
+  return imputed.map(xs => engineerFeatures(xs, featureConfig, datasetContext));
+}
+
+/**
+Runs imputation, feature engineering, preprocessing and the model over raw CSV rows and returns one probability per row.
+Shared by the predict and evaluate commands so both score rows exactly the same way. The model is a learner (see learners.js)
+and decides itself which inputs it is fed, so networks of either input mode and the baselines are all scored the same way.
+context is as in prepareRows; passing one built over the whole file is how a file scored in batches still counts across all
+of its rows.
+*/
+export async function scoreRows(model, preprocessor, rawRows, context = null) {
+  const layout = model.inputLayout(preprocessor);
+  const rows = prepareRows(preprocessor, rawRows, context);
+  return model.predict(rows.map(row => preprocessor.transformInputs(row, layout)));
+}
+
+/**
+The decision threshold to use: an explicit prediction.threshold wins, then the threshold tuned at training time,
+then 0.5 for artifacts without a calibration.
+*/
+export function decisionThreshold(config, calibration) {
+  if (config.prediction.threshold !== null) return config.prediction.threshold;
+  return calibration ? calibration.threshold : 0.5;
+}
+
+// The parts of a preprocessor that describe the expected inputs: imputation rules, derived feature names and vocabularies
+function preprocessingInfo(preprocessor) {
+  const { imputation } = preprocessor;
+  return {
+    schemaVersion: preprocessor.schemaVersion,
+    imputation: imputation && {
+      indicators: imputation.indicators,
+      columns: Object.fromEntries(Object.entries(imputation.columns).map(([column, rules]) => [column, rules.map(r => r.strategy)]))
+    },
+    featureConfig: preprocessor.features,
+    featureNames: preprocessor.featureNames,
+    numericFeatures: preprocessor.numericIndices.map(i => preprocessor.featureNames[i]),
+    vocabularies: preprocessor.vocabByFeature,
+    vectorLength: preprocessor.totalDim
+  };
+}
+
+async function loadSingleScorer(artifactsDir, config) {
+  const preprocessor = loadPreprocessor(artifactsDir);
+  const calibration = loadCalibration(artifactsDir);
+  const model = await loadModel(artifactsDir);
+  return {
+    description: `${model.type} model, calibration ${calibration ? calibration.method : 'none'}`,
+    threshold: decisionThreshold(config, calibration),
+    info: {
+      kind: 'single',
+      modelType: model.type,
+      calibration: calibration ? calibration.method : 'none',
+      preprocessing: preprocessingInfo(preprocessor)
+    },
+    inputMismatches() {
+      return model.inputMismatches(preprocessor);
+    },
+    buildContext(rawRows, context = null) {
+      return buildDatasetContext([preprocessor], rawRows, context);
+    },
+    async score(rawRows, context = null) {
+      return (await scoreRows(model, preprocessor, rawRows, context)).map(p => calibrate(calibration, p));
+    },
+    dispose() {
+      model.dispose();
+    }
+  };
+}
+
+/**
+Loads every ensemble member and combines their probabilities with prediction.combine, or the method the ensemble was
+trained with when that is null. Each combine method has its own calibration and threshold in the manifest, fitted on the
+combined out-of-fold predictions of that method.
+*/
+async function loadEnsembleScorer(artifactsDir, config) {
+  const manifest = loadEnsembleManifest(artifactsDir);
+  const combine = config.prediction.combine ?? manifest.combine;
+  const combiner = manifest.combiners[combine];
+  if (!combiner) {
+    throw new Error(`Ensemble manifest ${ensembleManifestPath(artifactsDir)} has no "${combine}" combiner` +
+      (manifest.strategy === 'fold' ? '; fold ensembles only combine by mean' : ''));
+  }
+  const members = [];
+  for (const member of manifest.members) {
+    const dir = path.join(artifactsDir, member.dir);
+    members.push({ preprocessor: loadPreprocessor(dir), model: await loadModel(dir) });
+  }
+  return {
+    description: `ensemble of ${members.length} (${manifest.strategy}), combine ${combine}, calibration ${combiner.calibration.method}`,
+    threshold: decisionThreshold(config, combiner.calibration),
+    info: {
+      kind: 'ensemble',
+      strategy: manifest.strategy,
+      combine,
+      calibration: combiner.calibration.method,
+      members: manifest.members.map((member, k) => ({
+        dir: member.dir,
+        modelType: members[k].model.type,
+        preprocessing: preprocessingInfo(members[k].preprocessor)
+      }))
+    },
+    inputMismatches() {
+      return members.flatMap(({ model, preprocessor }, k) =>
+        model.inputMismatches(preprocessor).map(problem => `${manifest.members[k].dir}: ${problem}`));
+    },
+    buildContext(rawRows, context = null) {
+      return buildDatasetContext(members.map(({ preprocessor }) => preprocessor), rawRows, context);
+    },
+    async score(rawRows, context = null) {
+      const memberProbs = [];
+      const datasetContext = context || buildDatasetContext(members.map(({ preprocessor }) => preprocessor), rawRows);
+      for (const { model, preprocessor } of members) {
+        memberProbs.push(await scoreRows(model, preprocessor, rawRows, datasetContext));
+      }
+      return combineProbabilities(memberProbs, combine, combiner.weights)
+        .map(p => calibrate(combiner.calibration, p));
+    },
+    dispose() {
+      members.forEach(({ model }) => model.dispose());
+    }
+  };
+}
+
+/**
+Loads the single model or ensemble in artifactsDir. A model whose input width differs from its preprocessing is refused
+here, unless validation.allowInputMismatch opts in to slicing or zero-padding its inputs to fit (see learners.js).
+*/
+export async function loadScorer(artifactsDir, config) {
+  const scorer = fs.existsSync(ensembleManifestPath(artifactsDir))
+    ? await loadEnsembleScorer(artifactsDir, config)
+    : await loadSingleScorer(artifactsDir, config);
+  const mismatches = scorer.inputMismatches();
+  if (mismatches.length > 0 && !config.validation.allowInputMismatch) {
+    scorer.dispose();
+    throw new Error(`${artifactsDir} does not match its preprocessing: ${mismatches.join('; ')}. Retrain it, or pass ` +
+      '--allow-input-mismatch (validation.allowInputMismatch) to slice or zero-pad the inputs anyway.');
+  }
+  mismatches.forEach(problem => console.warn(`Warning: ${problem}; inputs will be sliced or zero-padded to fit.`));
+  return scorer;
+}
@@ -0,0 +1,279 @@
+import fs from 'fs';
+import path from 'path';
+import { loadTrainingRows, trainAndEvaluate, calibrateHeldOut, formatMetrics } from './train.js';
+import { stratifiedSplit, createRng } from './validation.js';
+import { saveArtifacts, saveProfile } from './artifacts.js';
+import { mergeConfig, validateConfig, saveConfig } from './config.js';
+import { modelSpecErrors } from './model.js';
+import { profileRows } from './drift.js';
+
+/**
+Hyperparameter search over the `search` section of the run config. Every trial trains a fresh model with one combination of
+hyperparameters on the stratified hold-out split (training.validationSplit, training.seed) and is scored on the validation rows,
+so all trials see exactly the same data. Preprocessing is refitted per trial on the training rows, as in a normal training run.
+
+The search space maps hyperparameter names to candidate values:
+  layers         list of hidden layer width lists, e.g. [[128, 64, 32], [64, 32]]
+  dropout, l2, optimizer, learningRate   model spec values (see model.js)
+  batchSize, epochs                      training values
+Grid search runs the full cartesian product in a fixed order. Random search draws maxTrials combinations with a seeded generator;
+besides lists of candidates it also accepts ranges { min, max, log?, integer? } for the numeric parameters (batchSize and epochs
+ranges need integer: true). Every listed value and both ends of every range are checked like the settings they stand for when
+the config is loaded, so a bad candidate fails at startup rather than when its trial comes up.
+
+Every finished trial is appended as one JSON line to <searchDir>/trials.jsonl (trial number, parameters, metrics, duration),
+after a first line { fingerprint } recording the search settings and the base config the trials were trained with (see
+searchFingerprint). Rerunning the same search resumes it: a trial already in the results file is skipped when its parameters
+are the ones planned for it. A results file written with a different fingerprint is refused rather than mixed into the new
+search. Whenever a trial beats the best so far, its config, model and the training data profile (for predict's input checks,
+see drift.js) are written to <searchDir>/best/.
+*/
+
+export const DEFAULT_SEARCH_CONFIG = {
+  strategy: 'random',
+  maxTrials: 20,
+  maxMinutes: null,
+  seed: 42,
+  space: {
+    layers: [[128, 64, 32], [64, 32], [256, 128, 64]],
+    dropout: [0, 0.1, 0.2, 0.3],
+    l2: [0, 1e-5, 1e-4, 1e-3],
+    optimizer: ['sgd', 'adam'],
+    learningRate: [0.001, 0.003, 0.01, 0.03],
+    batchSize: [32, 64],
+    epochs: [10, 20]
+  }
+};
+
+const SPACE_KEYS = Object.keys(DEFAULT_SEARCH_CONFIG.space);
+const NUMERIC_KEYS = ['dropout', 'l2', 'learningRate', 'batchSize', 'epochs'];
+const MODEL_KEYS = ['dropout', 'l2', 'optimizer', 'learningRate'];
+const TRAINING_KEYS = ['batchSize', 'epochs'];
+
+function isRange(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+// Maps trial parameters onto model spec and training overrides
+function trialOverrides(params) {
+  const model = {};
+  const training = {};
+  if (params.layers !== undefined) {
+    model.layers = Array.isArray(params.layers) ? params.layers.map(units => ({ units })) : params.layers;
+  }
+  MODEL_KEYS.forEach(key => {
+    if (params[key] !== undefined) model[key] = params[key];
+  });
+  TRAINING_KEYS.forEach(key => {
+    if (params[key] !== undefined) training[key] = params[key];
+  });
+  return { model, training };
+}
+
+// Problems with one candidate value of a search parameter, checked as the model spec or training setting it becomes
+function candidateErrors(key, value) {
+  const { model, training } = trialOverrides({ [key]: value });
+  const errors = modelSpecErrors(model);
+  Object.entries(training).forEach(([name, v]) => {
+    if (!Number.isInteger(v) || v <= 0) errors.push(`training.${name} must be a positive integer`);
+  });
+  return errors.map(error => `search.space.${key} value ${JSON.stringify(value)}: ${error}`);
+}
+
+// Returns a list of problems with the search section of a config (after defaults are applied)
+export function searchConfigErrors(search) {
+  const errors = [];
+  Object.keys(search).forEach(key => {
+    if (!(key in DEFAULT_SEARCH_CONFIG)) errors.push(`unknown key "search.${key}"`);
+  });
+  if (!['grid', 'random'].includes(search.strategy)) errors.push('search.strategy must be "grid" or "random"');
+  if (search.maxTrials !== null && (!Number.isInteger(search.maxTrials) || search.maxTrials <= 0)) {
+    errors.push('search.maxTrials must be null or a positive integer');
+  }
+  if (search.strategy === 'random' && search.maxTrials === null) {
+    errors.push('search.maxTrials is required for random search');
+  }
+  if (search.maxMinutes !== null && (typeof search.maxMinutes !== 'number' || !(search.maxMinutes > 0))) {
+    errors.push('search.maxMinutes must be null or a positive number');
+  }
+  if (!Number.isInteger(search.seed)) errors.push('search.seed must be an integer');
+  if (!isRange(search.space) || Object.keys(search.space).length === 0) {
+    errors.push('search.space must be a non-empty object');
+    return errors;
+  }
+  Object.entries(search.space).forEach(([key, values]) => {
+    const where = `search.space.${key}`;
+    if (!SPACE_KEYS.includes(key)) {
+      errors.push(`unknown search parameter "${where}"; known parameters: ${SPACE_KEYS.join(', ')}`);
+    } else if (isRange(values)) {
+      if (search.strategy === 'grid') errors.push(`${where}: grid search needs a list of values, not a range`);
+      else if (!NUMERIC_KEYS.includes(key)) errors.push(`${where}: ranges are only allowed for ${NUMERIC_KEYS.join(', ')}`);
+      else if (typeof values.min !== 'number' || typeof values.max !== 'number' || values.min > values.max) {
+        errors.push(`${where} must have numeric min <= max`);
+      } else if (values.log && values.min <= 0) {
+        errors.push(`${where}: a log range needs min > 0`);
+      } else if (TRAINING_KEYS.includes(key) && values.integer !== true) {
+        errors.push(`${where}: a ${key} range needs integer: true`);
+      } else {
+        const ends = values.integer ? [Math.round(values.min), Math.round(values.max)] : [values.min, values.max];
+        ends.forEach(v => errors.push(...candidateErrors(key, v)));
+      }
+    } else if (!Array.isArray(values) || values.length === 0) {
+      errors.push(`${where} must be a non-empty list of values or a { min, max } range`);
+    } else {
+      values.forEach(v => errors.push(...candidateErrors(key, v)));
+    }
+  });
+  return errors;
+}
+
+export function resolveSearchConfig(search = {}) {
+  return { ...DEFAULT_SEARCH_CONFIG, ...search, space: search.space ?? DEFAULT_SEARCH_CONFIG.space };
+}
+
+// Cartesian product of the space, in key order, as a list of parameter objects
+function gridTrials(space) {
+  return Object.entries(space).reduce(
+    (combos, [key, values]) => combos.flatMap(combo => values.map(v => ({ ...combo, [key]: v }))),
+    [{}]
+  );
+}
+
+function sampleValue(values, rng) {
+  if (Array.isArray(values)) return values[Math.floor(rng() * values.length)];
+  const { min, max, log, integer } = values;
+  const v = log
+    ? Math.exp(Math.log(min) + rng() * (Math.log(max) - Math.log(min)))
+    : min + rng() * (max - min);
+  return integer ? Math.round(v) : v;
+}
+
+function randomTrials(space, count, seed) {
+  const rng = createRng(seed);
+  return Array.from({ length: count }, () => {
+    const params = {};
+    Object.entries(space).forEach(([key, values]) => { params[key] = sampleValue(values, rng); });
+    return params;
+  });
+}
+
+// Maps trial parameters onto a copy of the base config
+export function configForTrial(baseConfig, params) {
+  return validateConfig(mergeConfig(baseConfig, trialOverrides(params)));
+}
+
+// What the trial results depend on: the search settings and the base config every trial starts from. maxTrials is left out:
+// it only caps how many trials run, and trials are matched to the plan by their parameters
+function searchFingerprint(searchConfig, baseConfig) {
+  const { strategy, seed, space } = searchConfig;
+  const { model, training, features, imputation } = baseConfig;
+  return { search: { strategy, seed, space }, train: baseConfig.paths.train, model, training, features, imputation };
+}
+
+// The fingerprint (the first line, null for a new file) and the trial records of a results file. A last line that does not
+// parse is a record cut short by an interrupted run: it is dropped from the file, so that trial runs again and the next
+// record starts on a line of its own
+function readTrials(resultsPath) {
+  if (!fs.existsSync(resultsPath)) return { fingerprint: null, trials: [] };
+  const lines = fs.readFileSync(resultsPath, 'utf-8').split('\n').filter(line => line.trim() !== '');
+  const records = lines.flatMap((line, i) => {
+    try {
+      return [JSON.parse(line)];
+    } catch (err) {
+      if (i < lines.length - 1) throw new Error(`${resultsPath} line ${i + 1} is not valid JSON: ${err.message}`);
+      console.warn(`Warning: dropping the incomplete last line of ${resultsPath}`);
+      fs.writeFileSync(resultsPath, lines.slice(0, -1).map(kept => kept + '\n').join(''));
+      return [];
+    }
+  });
+  const [first, ...rest] = records;
+  if (!first) return { fingerprint: null, trials: [] };
+  if (!('fingerprint' in first)) {
+    throw new Error(`${resultsPath} has no search fingerprint (written by an older version); use another --search-dir or remove it`);
+  }
+  return { fingerprint: first.fingerprint, trials: rest };
+}
+
+// Higher validation accuracy wins; ties go to the lower validation loss
+function isBetter(metrics, best) {
+  if (!best) return true;
+  if (metrics.accuracy !== best.metrics.accuracy) return metrics.accuracy > best.metrics.accuracy;
+  return metrics.loss < best.metrics.loss;
+}
+
+/**
+Runs (or resumes) the search described by config.search and returns the best trial record. Results go to config.paths.searchDir.
+The search stops when every planned trial is done, when maxTrials trials have been recorded, or when maxMinutes have elapsed in this
+invocation (a running trial is allowed to finish).
+*/
+export async function search(config) {
+  // Already validated with the rest of the config (see validateConfig in config.js)
+  const searchConfig = resolveSearchConfig(config.search);
+  const { strategy, maxTrials, maxMinutes, seed, space } = searchConfig;
+  const searchDir = config.paths.searchDir;
+  const resultsPath = path.join(searchDir, 'trials.jsonl');
+  const bestDir = path.join(searchDir, 'best');
+  fs.mkdirSync(searchDir, { recursive: true });
+
+  let planned = strategy === 'grid' ? gridTrials(space) : randomTrials(space, maxTrials, seed);
+  if (maxTrials !== null) planned = planned.slice(0, maxTrials);
+
+  // Trials ignore training.folds: every trial is scored on the same hold-out split with TensorBoard logging and checkpoints
+  // off (the search itself resumes trial by trial)
+  const baseConfig = mergeConfig(config, { training: { folds: 0, resume: false }, paths: { logDir: null, checkpointDir: null } });
+
+  const fingerprint = searchFingerprint(searchConfig, baseConfig);
+  const recorded = readTrials(resultsPath);
+  if (recorded.fingerprint === null) {
+    fs.writeFileSync(resultsPath, JSON.stringify({ fingerprint }) + '\n');
+  } else if (JSON.stringify(recorded.fingerprint) !== JSON.stringify(fingerprint)) {
+    throw new Error(`The trials in ${resultsPath} were run with different search settings or base config; ` +
+      'use another --search-dir or remove it to start over');
+  }
+  const done = recorded.trials.filter(t =>
+    planned[t.trial] !== undefined && JSON.stringify(t.params) === JSON.stringify(planned[t.trial]));
+  const doneIds = new Set(done.map(t => t.trial));
+  let best = done.reduce((b, t) => (isBetter(t.metrics, b) ? t : b), null);
+  if (done.length > 0) {
+    console.log(`Resuming search: ${done.length} of ${planned.length} trials already in ${resultsPath}`);
+  }
+
+  const { rows, labels, rawRows } = await loadTrainingRows(baseConfig);
+  const { trainIndices, valIndices } = stratifiedSplit(labels, baseConfig.training.validationSplit, baseConfig.training.seed);
+  const trainRows = trainIndices.map(i => rows[i]);
+  const valRows = valIndices.map(i => rows[i]);
+
+  const startedAt = Date.now();
+  for (let trial = 0; trial < planned.length; trial++) {
+    if (doneIds.has(trial)) continue;
+    if (maxMinutes !== null && Date.now() - startedAt > maxMinutes * 60 * 1000) {
+      console.log(`Time budget of ${maxMinutes} minutes used up; rerun the same command to resume.`);
+      break;
+    }
+    const params = planned[trial];
+    const trialConfig = configForTrial(baseConfig, params);
+    console.log(`Trial ${trial + 1}/${planned.length}:`, JSON.stringify(params));
+
+    const trialStart = Date.now();
+    const result = await trainAndEvaluate(trainRows, valRows, trialConfig);
+    const record = { trial, params, metrics: result.metrics, durationMs: Date.now() - trialStart };
+    fs.appendFileSync(resultsPath, JSON.stringify(record) + '\n');
+    console.log(`Trial ${trial + 1}/${planned.length}: ${formatMetrics(result.metrics)} (${(record.durationMs / 1000).toFixed(1)}s)`);
+
+    if (isBetter(result.metrics, best)) {
+      best = record;
+      await saveArtifacts(bestDir, { ...result, calibration: calibrateHeldOut(result.heldOut, trialConfig) });
+      saveProfile(bestDir, profileRows(rawRows));
+      saveConfig(trialConfig, bestDir);
+      console.log(`New best trial ${trial + 1}; saved to ${bestDir}`);
+    }
+    result.model.dispose();
+  }
+
+  if (best) {
+    fs.writeFileSync(path.join(searchDir, 'best.json'), JSON.stringify(best, null, 2));
+    console.log(`Best trial ${best.trial + 1}: ${formatMetrics(best.metrics)}`, JSON.stringify(best.params));
+    console.log(`Best config and model are in ${bestDir}`);
+  }
+  return best;
+}
@@ -0,0 +1,197 @@
+import http from 'http';
+import { loadScorer } from './scoring.js';
+import { artifactsDigest } from './artifacts.js';
+import { recordErrors, normalizeRecord } from './schema.js';
+import { artifactsDirFor } from './runs.js';
+
+/**
+Local HTTP inference server (`node src/cli.js serve`). The artifacts in config.paths.artifactsDir, or those of the run named
+by prediction.run (see runs.js), are loaded once at startup and every request is scored with them exactly like the predict
+command would score a CSV row.
+
+  POST /predict      body: one passenger record (JSON object) or an array of records, with the test.csv columns
+                     (see schema.js). One record returns { id, probability, label }; an array returns { predictions: [...] }
+                     in request order. probability is calibrated and label is probability >= the decision threshold.
+  GET  /health       { status: 'ok', version, loadedAt, uptimeSeconds }
+  GET  /model-info   what is loaded: version, artifacts directory, threshold, model type(s) and, per preprocessor, the feature
+                     names and category vocabularies.
+  POST /reload       loads the artifacts directory again and swaps the new model in; also triggered by SIGHUP.
+
+version is a content hash of the artifacts directory, so a reload that picked up a retrained model reports a new version.
+A failed reload leaves the previous model serving. Requests already being scored finish on the model they started with,
+which is disposed once they are done.
+
+Malformed requests get a 4xx JSON error { error: { message, details } }: 400 for unparsable JSON or a body that is not a record
+or array, 413 for bodies over server.maxBodyBytes or batches over server.maxRecords, and 422 for records that fail the schema
+check (details lists every bad field, e.g. "records[2].Age must be a number").
+
+Group and family sizes are counted within the records of one request, since the server never sees the whole test file.
+*/
+
+// An Error carrying the HTTP status and the detail lines to send back
+function httpError(status, message, details = []) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+function sendJson(res, status, body, headers = {}) {
+  const text = JSON.stringify(body);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text), ...headers });
+  res.end(text);
+}
+
+function readBody(req, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      // Past the limit the rest of the body is read and dropped, so the 413 response can still be sent
+      if (size <= maxBytes) chunks.push(chunk);
+    });
+    req.on('end', () => {
+      if (size > maxBytes) reject(httpError(413, `Request body is larger than ${maxBytes} bytes`));
+      else resolve(Buffer.concat(chunks).toString('utf-8'));
+    });
+    req.on('error', reject);
+  });
+}
+
+// Parses (as JSON, whatever the Content-Type says) and validates a /predict body into { single, records } where records are normalized rows ready for scoring
+async function parsePredictBody(req, config) {
+  const text = await readBody(req, config.server.maxBodyBytes);
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (err) {
+    throw httpError(400, `Request body is not valid JSON: ${err.message}`);
+  }
+  const single = !Array.isArray(body);
+  if (single && (body === null || typeof body !== 'object')) {
+    throw httpError(400, 'Request body must be a passenger record (JSON object) or an array of records');
+  }
+  const records = single ? [body] : body;
+  if (records.length === 0) throw httpError(400, 'Request body is an empty array; send at least one record');
+  if (records.length > config.server.maxRecords) {
+    throw httpError(413, `Too many records: ${records.length}, at most ${config.server.maxRecords} per request`);
+  }
+  const errors = records.flatMap((record, i) => recordErrors(record, single ? 'record' : `records[${i}]`, config));
+  if (errors.length > 0) throw httpError(422, 'Invalid passenger records', errors);
+  return { single, records: records.map(normalizeRecord) };
+}
+
+// Loads the artifacts into a scorer entry; entries are reference-counted so a reload never disposes a model mid-request.
+// A tag in prediction.run is resolved again on every load, so moving the tag and reloading swaps in the newly tagged run.
+async function loadEntry(config) {
+  const artifactsDir = artifactsDirFor(config);
+  const version = artifactsDigest(artifactsDir);
+  const scorer = await loadScorer(artifactsDir, config);
+  return { scorer, artifactsDir, version, loadedAt: new Date().toISOString(), active: 0, retired: false };
+}
+
+function release(entry) {
+  entry.active -= 1;
+  if (entry.retired && entry.active === 0) entry.scorer.dispose();
+}
+
+/**
+Starts the server on config.server.host:config.server.port and resolves with the http.Server once it is listening.
+*/
+export async function serve(config) {
+  const startedAt = Date.now();
+  let current = await loadEntry(config);
+  let reloading = null;
+  console.log(`Loaded ${current.scorer.description} from ${current.artifactsDir} (version ${current.version})`);
+
+  function reload() {
+    // Concurrent reload requests share one load
+    if (!reloading) {
+      reloading = loadEntry(config)
+        .then(entry => {
+          const previous = current;
+          current = entry;
+          previous.retired = true;
+          if (previous.active === 0) previous.scorer.dispose();
+          console.log(`Reloaded ${entry.scorer.description} from ${entry.artifactsDir} (version ${previous.version} -> ${entry.version})`);
+          return entry;
+        })
+        .finally(() => { reloading = null; });
+    }
+    return reloading;
+  }
+
+  async function predictHandler(req, res) {
+    const { single, records } = await parsePredictBody(req, config);
+    const entry = current;
+    entry.active += 1;
+    let probs;
+    try {
+      probs = await entry.scorer.score(records);
+    } finally {
+      release(entry);
+    }
+    const predictions = probs.map((probability, i) => ({
+      id: records[i][config.idColumn] ?? null,
+      probability,
+      label: probability >= entry.scorer.threshold
+    }));
+    sendJson(res, 200, single ? predictions[0] : { predictions }, { 'X-Model-Version': entry.version });
+  }
+
+  const routes = {
+    'POST /predict': predictHandler,
+    'GET /health': (req, res) => sendJson(res, 200, {
+      status: 'ok',
+      version: current.version,
+      loadedAt: current.loadedAt,
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000)
+    }),
+    'GET /model-info': (req, res) => sendJson(res, 200, {
+      version: current.version,
+      loadedAt: current.loadedAt,
+      artifactsDir: current.artifactsDir,
+      description: current.scorer.description,
+      threshold: current.scorer.threshold,
+      ...current.scorer.info
+    }),
+    'POST /reload': async (req, res) => {
+      let entry;
+      try {
+        entry = await reload();
+      } catch (err) {
+        throw httpError(500, `Reload failed, still serving version ${current.version}: ${err.message}`);
+      }
+      sendJson(res, 200, { status: 'reloaded', version: entry.version, loadedAt: entry.loadedAt });
+    }
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    const handler = routes[`${req.method} ${pathname}`];
+    try {
+      if (!handler) {
+        const allowed = Object.keys(routes).filter(r => r.endsWith(` ${pathname}`)).map(r => r.split(' ')[0]);
+        if (allowed.length > 0) {
+          throw Object.assign(httpError(405, `${req.method} is not allowed on ${pathname}`), { allow: allowed.join(', ') });
+        }
+        throw httpError(404, `No route for ${req.method} ${pathname}`);
+      }
+      await handler(req, res);
+    } catch (err) {
+      const status = err.status ?? 500;
+      if (status >= 500) console.error(err);
+      sendJson(res, status, { error: { message: err.message, details: err.details ?? [] } }, err.allow ? { Allow: err.allow } : {});
+    }
+  });
+
+  process.on('SIGHUP', () => {
+    reload().catch(err => console.error(`Reload failed, still serving version ${current.version}:`, err.message));
+  });
+
+  const { host, port } = config.server;
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  console.log(`Serving on http://${host}:${server.address().port} (POST /predict, GET /health, GET /model-info, POST /reload)`);
+  return server;
+}
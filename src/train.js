@@ -1,270 +1,349 @@
 import * as tf from '@tensorflow/tfjs-node';
-import { createModel } from './model.js';
-
-async function run() {
-
-    // Load and preprocess data
-    const makeDataset = () => tf.data.csv(
-        'file://../data/train.csv', {
-            hasHeader: true,
-            columnConfigs: { Transported: { isLabel: true } }
-        }
-    );
-
-    // Initial dataset (for schema + stats)
-    let rawDataset = makeDataset();
+import fs from 'fs';
+import path from 'path';
+import { createModel, resolveModelSpec, learningRateScheduler } from './model.js';
+import { stratifiedSplit, stratifiedKFold, meanAndStd, createRng, shuffleInPlace } from './validation.js';
+import { resolveFeatureConfig } from './features.js';
+import { fitImputation } from './imputation.js';
+import { Preprocessor } from './preprocessing.js';
+import { buildDatasetContext, prepareRows } from './scoring.js';
+import { readCsvRows, encodeLabel } from './data.js';
+import { saveArtifacts, saveProfile, SINGLE_MODEL_ENTRIES } from './artifacts.js';
+import { saveConfig, mergeConfig } from './config.js';
+import { fitCalibration, logLoss, accuracyAt } from './calibration.js';
+import { neuralLearner, fitBaseline } from './learners.js';
+import { permutationImportance, averageImportance } from './importance.js';
+import { profileRows } from './drift.js';
+import { startRun, finishRun } from './runs.js';
+import { readCheckpoint, saveCheckpoint, loadCheckpointWeights, restoreOptimizer } from './checkpoints.js';
+
+/**
+Fits the imputation (see imputation.js) and a Preprocessor on the given raw {xs, ys} training rows only, so during
+cross-validation every fold is fitted on its own training rows and the validation rows never leak into the imputed values,
+the means or the vocabularies. Returns the preprocessor with both row sets prepared the way scoring prepares rows (imputed,
+then engineered; see prepareRows in scoring.js). Like group sizes, the group values group rules read are collected over
+training and validation rows together, just as predict collects them over the whole test file.
+*/
+async function fitPreprocessing(trainRows, valRows, config) {
+    const imputation = fitImputation(trainRows.map(({ xs }) => xs), config.imputation, config.training.seed);
+    const preprocessor = new Preprocessor({ features: resolveFeatureConfig(config.features), imputation });
+    const allRows = valRows ? trainRows.concat(valRows) : trainRows;
+    const context = buildDatasetContext([preprocessor], allRows.map(({ xs }) => xs));
+    const prepare = rows => {
+        const features = prepareRows(preprocessor, rows.map(({ xs }) => xs), context);
+        return rows.map(({ ys }, i) => ({ xs: features[i], ys }));
+    };
+    const prepared = { trainRows: prepare(trainRows), valRows: valRows ? prepare(valRows) : null };
+    await preprocessor.fit(tf.data.array(prepared.trainRows).map(({ xs }) => xs));
+    console.log(`Preprocessing: ${preprocessor.numericIndices.length} numeric and ${preprocessor.stringIndices.length} ` +
+        `categorical features, vector length ${preprocessor.totalDim}`);
+    return { preprocessor, ...prepared };
+}
 
-    // For debugging, take a look at the first element of the dataset.
-    rawDataset.take(1).forEachAsync((d) => {
-        console.log(d)
-    })
+// Batched dataset of encoded rows: xs keyed by model input name (see inputLayout in preprocessing.js), ys the 0/1 label.
+// With order (a function returning row indices) every pass visits the rows in the order it returns at that time.
+function encodeDataset(rows, preprocessor, layout, config, order = null) {
+    const source = order ? tf.data.generator(function* () { yield* order().map(i => rows[i]); }) : tf.data.array(rows);
+    return source
+        .map(({ xs, ys }) => ({ xs: preprocessor.transformInputs(xs, layout), ys: [encodeLabel(ys, config.labelColumn)] }))
+        .batch(config.training.batchSize)
+        .prefetch(1);
+}
 
-    // Peek first row to infer feature names and types
-    let featureNames = [];
-    let numericIndices = [];
-    let stringIndices = [];
-    await rawDataset.take(1).forEachAsync(({ xs }) => {
-        featureNames = Object.keys(xs);
-        featureNames.forEach((name, idx) => {
-            const v = xs[name];
-            if (typeof v === 'number') numericIndices.push(idx);
-            else stringIndices.push(idx);
-        });
-        console.log('Feature names:', featureNames);
-        console.log('Numeric indices:', numericIndices);
-        console.log('String indices:', stringIndices);
-    });
-    
-    // ---- Compute mean for numeric features (ignore missing / non-finite) ----
-    /**
-        This block computes per‑numeric‑feature mean and standard deviation in a single streaming pass over the dataset so later 
-        normalization and missing‑value imputation can be consistent. It first derives numCount from numericIndices 
-        (the ordered list of numeric feature column indexes) and allocates parallel arrays: sums (∑x), sumSquares (∑x² for variance), 
-        and counts (number of finite observations) initialized to zero.
+/**
+Reads config.paths.train. Returns the raw { xs, ys } rows, their 0/1 labels and the raw feature objects alone (rawRows).
+Imputation and feature engineering happen per fitted model (see fitPreprocessing), since imputed values are fitted on that
+model's training rows only.
+*/
+export async function loadTrainingRows(config) {
+    const { labelColumn } = config;
+    const rows = await readCsvRows(config.paths.train, { labelColumn });
+    const rawRows = rows.map(({ xs }) => xs);
+    const labels = rows.map(({ ys }) => encodeLabel(ys, labelColumn));
+    return { rows, labels, rawRows };
+}
 
-        The forEachAsync pass iterates each row object xs. For every numeric feature (tracked by its column index colIdx and 
-        positional index pos) it fetches the raw value. Only finite numbers are accumulated; non‑finite (null/undefined/NaN/Infinity) 
-        entries are skipped, leaving their contribution to imputation handled later by the computed mean. For accepted values it increments sums[pos], 
-        sumSquares[pos], and counts[pos], producing sufficient statistics without storing all raw samples (memory efficient for large CSVs).
+// Seeds of the shuffle order and the dropout masks of every epoch, drawn up front so that epoch e gets the same seeds
+// whether training started at epoch 0 or resumed at e
+function epochSeeds(seed, epochs) {
+    const rng = createRng(seed);
+    const draw = () => Math.floor(rng() * 4294967296);
+    return Array.from({ length: epochs }, () => ({ shuffle: draw(), dropout: draw() }));
+}
 
-        After the pass, numericMeans is computed as sums/counts with a safe fallback of 0 when a feature had zero valid observations (prevents NaN). 
-        Standard deviations are then derived using the relation Var = E[x²] − (E[x])², where meanSq is E[x²] = sumSquares/count. 
-        A guard returns 1 when counts[i] === 0 to avoid division by zero in downstream normalization (so (x−mean)/std becomes (0−0)/1 = 0 for entirely missing columns). 
-        Math.max(var_, 1e-12) clamp prevents tiny negative variances from floating‑point round‑off and avoids sqrt(0), stabilizing gradients later. 
-        This yields a population (not sample) variance; if an unbiased sample estimate were desired, a factor counts/(counts−1) would be applied when counts > 1. 
-        Finally, the means (used for imputation) and stds (used for scaling) are logged so they can be inspected or persisted for inference consistency. 
-        Potential edge cases include columns with extremely large magnitudes (risking loss of precision in sumSquares) and entirely missing columns 
-        producing all zeros after normalization.
-     */
-    const numCount = numericIndices.length;
-    const sums = new Array(numCount).fill(0);
-    const sumSquares = new Array(numCount).fill(0); // for std
-    const counts = new Array(numCount).fill(0);
+// Config for one of the networks a command trains, with its own checkpoint directory (see checkpoints.js)
+function stageConfig(config, stage) {
+    const { checkpointDir } = config.paths;
+    return checkpointDir === null ? config : mergeConfig(config, { paths: { checkpointDir: path.join(checkpointDir, stage) } });
+}
 
-    await rawDataset.forEachAsync(({ xs }) => {
-        numericIndices.forEach((colIdx, pos) => {
-            const name = featureNames[colIdx];
-            const v = xs[name];
-            if (typeof v === 'number' && Number.isFinite(v)) {
-                sums[pos] += v;
-                sumSquares[pos] += v * v;
-                counts[pos] += 1;
+/**
+Builds and fits the dense network on the encoded training rows and returns it with its per-epoch history. valRows (optional)
+are used for the per-epoch logs and for early stopping.
+
+One seed (model.seed, or training.seed when that is null) makes a run repeatable: it seeds the initial weights, the dropout
+masks and the order the training rows are visited in, which is reshuffled every epoch. With training.patience > 0 training
+stops once the validation loss has not improved by more than training.minDelta for that many epochs, and the weights of the
+best epoch are restored. With paths.checkpointDir every epoch is checkpointed (see checkpoints.js), and with training.resume
+training continues from the checkpoint there, epoch counter, optimizer state and early-stopping state included.
+*/
+async function trainNetwork(trainRows, valRows, preprocessor, spec, config) {
+    const { epochs, batchSize, patience, minDelta, resume } = config.training;
+    const { checkpointDir } = config.paths;
+    const seed = spec.seed ?? config.training.seed;
+    const seeds = epochSeeds(seed, epochs);
+    const layout = preprocessor.inputLayout(spec.inputMode);
+
+    // Set at the start of every epoch from that epoch's seeds
+    let order = trainRows.map((_, i) => i);
+    let dropoutRng = createRng(seed);
+    const trainDataset = encodeDataset(trainRows, preprocessor, layout, config, () => order);
+    const valDataset = valRows ? encodeDataset(valRows, preprocessor, layout, config) : undefined;
+
+    // Create the model, then pick up a checkpoint or start over
+    const model = createModel({ ...spec, seed }, layout, { dropoutSeed: () => Math.floor(dropoutRng() * 4294967296) });
+    model.summary();
+    const earlyStopping = patience > 0 && Boolean(valRows);
+    if (patience > 0 && !valRows) console.log('Early stopping needs validation rows; training for all epochs.');
+    const fingerprint = JSON.stringify({ spec: { ...spec, seed }, layout, rows: trainRows.length, batchSize, patience, minDelta });
+    // One { epoch, loss, acc, val_loss, val_acc } history entry per epoch (val_* only with validation rows)
+    let state = { fingerprint, epoch: 0, history: [], best: null, wait: 0, stopped: false };
+    let bestWeights = null;
+    if (checkpointDir) {
+        const saved = resume ? readCheckpoint(checkpointDir) : null;
+        if (saved) {
+            if (saved.fingerprint !== fingerprint) {
+                throw new Error(`The checkpoint in ${checkpointDir} was written for a different model, data or training settings; ` +
+                    'remove it or train without --resume');
             }
-        });
-    });
-
-    const numericMeans = sums.map((s, i) => counts[i] > 0 ? s / counts[i] : 0);
-    const numericStds = numericMeans.map((m, i) => {
-        if (counts[i] === 0) return 1; // avoid divide by zero; will yield 0 after normalization
-        const meanSq = sumSquares[i] / counts[i];
-        const var_ = meanSq - m * m;
-        return Math.sqrt(Math.max(var_, 1e-12));
-    });
-    console.log('Numeric means (imputation values):', numericMeans);
-    console.log('Numeric stds (for normalization):', numericStds);
-
-
-    // Re-create dataset for encoding (previous iterator consumed)
-    rawDataset = makeDataset();
-
-    // ---- Build vocabularies for string features (with __MISSING__) ----
-    /**
-        This block builds per-feature vocabularies for all categorical (string) columns. It initializes an object vocabSets whose 
-        keys will be the categorical feature names and whose values are Set instances (Sets automatically keep only unique entries). 
-        The first loop seeds vocabSets with empty Sets for each string feature (identified earlier and stored in stringIndices, 
-        which maps positions into featureNames).
-
-        Next, it performs a full pass over rawDataset using forEachAsync. For every row (xs) it iterates the same string feature indices. 
-        It pulls the raw value, normalizes any null / undefined / empty string to a sentinel 'MISSING' (ensuring a stable bucket for missing values), 
-        then coerces the value to a string with String(v). That coercion prevents subtle mismatches from mixed types (e.g., a number vs. its string form) 
-        and guarantees consistent Set membership. The cleaned token is added to the feature’s Set, gradually accumulating the distinct category 
-        universe for that column across the dataset.
-
-        Finally, it logs the vocabSets object so you can inspect the discovered categories (including the injected missing sentinel) for debugging or 
-        to confirm cardinalities. Potential considerations: (1) Very high-cardinality columns can balloon memory and later one-hot dimensionality; 
-        you might cap or frequency-filter. (2) Truncating or sorting happens later—Sets here do not preserve insertion order guarantees for downstream 
-        deterministic indexing, so a later explicit sort (as done elsewhere) is necessary. (3) Any categories appearing only in validation/test but 
-        absent here will fall back to the 'MISSING' bucket.
-     */
-    const vocabSets = {};
-    stringIndices.forEach(i => vocabSets[featureNames[i]] = new Set());
+            const weights = await loadCheckpointWeights(checkpointDir, saved.epoch);
+            model.setWeights(weights);
+            tf.dispose(weights);
+            await restoreOptimizer(model, saved.optimizer);
+            if (saved.best) bestWeights = await loadCheckpointWeights(checkpointDir, saved.best.epoch);
+            const { optimizer, ...rest } = saved;
+            state = rest;
+            console.log(`Resuming from the checkpoint after epoch ${state.epoch} in ${checkpointDir}`);
+        } else {
+            if (resume) console.log(`No checkpoint in ${checkpointDir}; starting from epoch 1`);
+            fs.rmSync(checkpointDir, { recursive: true, force: true });
+            fs.mkdirSync(checkpointDir, { recursive: true });
+        }
+    }
 
-    await rawDataset.forEachAsync(({ xs }) => {
-        stringIndices.forEach(i => {
-            const key = featureNames[i];
-            let v = xs[key];
-            if (v === null || v === undefined || v === '') v = '__MISSING__';
-            v = String(v);
-            vocabSets[key].add(v);
+    const callbacks = [learningRateScheduler(model, spec, epochs)];
+    if (config.paths.logDir) {
+        callbacks.push(tf.node.tensorBoard(config.paths.logDir, {
+            updateFreq: 'batch'
+        }));
+    }
+    callbacks.push(new tf.CustomCallback({
+        onEpochBegin: async epoch => {
+            order = shuffleInPlace(trainRows.map((_, i) => i), createRng(seeds[epoch].shuffle));
+            dropoutRng = createRng(seeds[epoch].dropout);
+        },
+        onEpochEnd: async (epoch, logs) => {
+            state.epoch = epoch + 1;
+            state.history.push({ epoch: epoch + 1, ...logs });
+            if (earlyStopping) {
+                if (!state.best || logs.val_loss < state.best.valLoss - minDelta) {
+                    state.best = { epoch: epoch + 1, valLoss: logs.val_loss };
+                    state.wait = 0;
+                    tf.dispose(bestWeights);
+                    bestWeights = model.getWeights().map(w => w.clone());
+                } else if (++state.wait >= patience) {
+                    state.stopped = true;
+                    model.stopTraining = true;
+                }
+            }
+            if (checkpointDir) await saveCheckpoint(checkpointDir, model, state);
+        }
+    }));
+
+    if (state.stopped || state.epoch >= epochs) {
+        console.log(`Training already finished after epoch ${state.epoch}.`);
+    } else {
+        console.log('Starting training...');
+        await model.fitDataset(trainDataset, {
+            epochs,
+            initialEpoch: state.epoch,
+            verbose: 1,
+            validationData: valDataset,
+            callbacks: callbacks.filter(Boolean)
         });
-    });
-
-    console.log('Vocab sets:', vocabSets);
-
-    /** 
-    This segment finalizes categorical encodings. It starts by preparing two dictionaries: vocabByFeature will hold the ordered list (array) 
-    of category strings per feature, and indexByFeature will hold a fast lookup object token -> integer index for each feature.
-
-    For every string (categorical) feature index, it derives the feature name, ensures the special 'MISSING' token is present 
-    (so any null/empty encountered later has a defined index), then converts that feature’s Set of tokens into an array. 
-    Sorting the array imposes a deterministic, reproducible ordering (important so model weights align across runs and during inference). 
-    The sorted array is stored in vocabByFeature.
-
-    Next it builds a plain object map from token to its position (the forEach over vocab with (tok, idx)). This map allows O(1) conversion 
-    of raw string values to their integer index during row-to-tensor transformation (e.g., for one‑hot or embedding lookup). 
-    That map is stored in indexByFeature keyed by the feature name. The result is a pair of parallel structures: one for iterating (vocab arrays) 
-    and one for constant‑time lookup (index maps). A subtle point: relying on lexicographic sort means numeric-looking strings (e.g., '10', '2') 
-    will sort as strings; if numeric order is desired, a custom comparator would be needed.
-    */
-    const vocabByFeature = {};
-    const indexByFeature = {};
-    stringIndices.forEach(i => {
-        const key = featureNames[i];
-        if (!vocabSets[key].has('__MISSING__')) vocabSets[key].add('__MISSING__');
-        const vocab = Array.from(vocabSets[key]).sort();
-        vocabByFeature[key] = vocab;
-        const map = {};
-        vocab.forEach((tok, idx) => map[tok] = idx);
-        indexByFeature[key] = map;
-    });
-
-    console.log('Vocab by feature:', vocabByFeature);
-    console.log('Index by feature:', indexByFeature);
-
-    /**
-    This block precomputes where each categorical feature’s one‑hot segment will live inside a single flattened feature vector. 
-    It starts totalDim at the count of numeric features (these will occupy the first slots). For every string feature index it 
-    looks up the feature name, then records in oneHotOffsets[key] an object containing: offset (the starting index in the final 
-    vector where that feature’s one‑hot slice begins) and size (the vocabulary length, i.e., the width of its one‑hot segment). 
-    After storing that, it increments totalDim by the vocabulary size so the next categorical feature’s offset lines up immediately 
-    after the previous segment.
-
-    The result is a deterministic, contiguous layout: [ all numeric scalars | one‑hot(feature A) | one‑hot(feature B) | ... ]. 
-    Logging the final totalDim confirms the overall input dimensionality (important for creating the tf.input layer or shaping tensors). 
-    This approach avoids concatenating multiple small tensors repeatedly; instead you can allocate a single Float32Array (or tensor) 
-    of length totalDim and fill numeric values first, then set exactly one index to 1 within each categorical segment using the stored 
-    offset + categoryIndex. A potential pitfall is large cardinality features: their vocab length directly inflates totalDim, 
-    which can increase memory and slow training; embeddings or hashing would be alternatives if that occurs.
-     */
-    const oneHotOffsets = {};
-    let totalDim = numericIndices.length;
-    stringIndices.forEach(i => {
-        const name = featureNames[i];
-        oneHotOffsets[name] = { offset: totalDim, size: vocabByFeature[name].length };
-        totalDim += vocabByFeature[name].length;
-    });
-    console.log('Total feature vector length (numeric + one-hot):', totalDim);
-    console.log('One-hot offsets by feature:', oneHotOffsets);
-
-    function encodeLabel(ys) {
-        const v = ys.Transported;
-        return (v === true || v === 'True' || v === 'true' || v === 1) ? 1 : 0;
+        console.log('Training complete.');
     }
+    if (state.stopped) console.log(`Early stopping after epoch ${state.epoch}: no val_loss improvement for ${patience} epochs.`);
+    if (bestWeights) {
+        model.setWeights(bestWeights);
+        tf.dispose(bestWeights);
+        console.log(`Restored the weights of epoch ${state.best.epoch} (val_loss ${state.best.valLoss.toFixed(4)}).`);
+    }
+    return { model: neuralLearner(model), history: state.history };
+}
 
-    // Fresh dataset again (third pass) for final encoded batches
-    rawDataset = makeDataset();
+// Fits one of the non-neural baselines (see learners.js) on the flat preprocessed vectors of the training rows
+function trainBaseline(trainRows, preprocessor, spec, config) {
+    const X = trainRows.map(({ xs }) => preprocessor.transform(xs));
+    const labels = trainRows.map(({ ys }) => encodeLabel(ys, config.labelColumn));
+    console.log(`Fitting ${spec.type} model on ${X.length} rows with ${preprocessor.totalDim} features...`);
+    const startedAt = Date.now();
+    const model = fitBaseline(spec, X, labels, spec.seed ?? config.training.seed);
+    console.log(`Training complete (${((Date.now() - startedAt) / 1000).toFixed(1)}s).`);
+    return model;
+}
 
-    // ---- Map rows: mean-impute numeric, one-hot encode strings ----
-    const BATCH_SIZE = 32;
-    const encodedDataset = rawDataset.map(({ xs, ys }) => {
-        const vec = new Array(totalDim).fill(0);
+/**
+Fits preprocessing and a fresh model of config.model.type on trainRows, then scores the model on valRows (when given) with the
+same preprocessing. Returns the trained model (a learner, see learners.js), the fitted preprocessor, the validation log-loss and
+accuracy at 0.5, the raw validation probabilities with their labels (heldOut), which calibration is fitted on, the
+per-epoch training history of a network (null for the baselines) and the validation rows as the model saw them (valFeatures).
+metrics, heldOut and valFeatures are null when there is no validation set. The caller owns the returned model and must dispose it when it
+is not saved.
+*/
+export async function trainAndEvaluate(trainRows, valRows, config) {
+    const spec = resolveModelSpec(config.model);
+    const { preprocessor, trainRows: trainFeatures, valRows: valFeatures } = await fitPreprocessing(trainRows, valRows, config);
+    const { model, history } = spec.type === 'neural'
+        ? await trainNetwork(trainFeatures, valFeatures, preprocessor, spec, config)
+        : { model: trainBaseline(trainFeatures, preprocessor, spec, config), history: null };
+
+    let metrics = null;
+    let heldOut = null;
+    if (valFeatures) {
+        const layout = model.inputLayout(preprocessor);
+        const probs = await model.predict(valFeatures.map(({ xs }) => preprocessor.transformInputs(xs, layout)));
+        const labels = valFeatures.map(({ ys }) => encodeLabel(ys, config.labelColumn));
+        metrics = { loss: logLoss(probs, labels), accuracy: accuracyAt(probs, labels, 0.5) };
+        heldOut = { probs, labels };
+    }
+    return { model, preprocessor, metrics, heldOut, history, valFeatures };
+}
 
-        // Numeric with mean imputation + standardization
-        numericIndices.forEach((colIdx, pos) => {
-            const name = featureNames[colIdx];
-            const v = xs[name];
-            const imputed = (typeof v === 'number' && Number.isFinite(v)) ? v : numericMeans[pos];
-            const std = numericStds[pos] > 0 ? numericStds[pos] : 1;
-            vec[pos] = (imputed - numericMeans[pos]) / std;
-        });
+export function formatMetrics({ loss, accuracy }) {
+    return `loss=${loss.toFixed(4)} accuracy=${accuracy.toFixed(4)}`;
+}
 
-        // String one-hot
-        /**
-        This loop one‑hot encodes every categorical (string) feature into the preallocated flat feature vector vec. 
-        For each string feature index it gets the feature’s name, then retrieves that feature’s reserved offset 
-        (start position in the combined vector) and its one‑hot segment length (size). It reads the raw value from the 
-        current row xs and normalizes missing cases (null, undefined, empty string) to the sentinel '__MISSING__' so they map 
-        to a stable bucket.
-        The value is coerced to a string to ensure consistent key usage in the lookup map. The code then looks up 
-        the integer category index via indexByFeature[name]; if the exact token is absent it falls back to the '__MISSING__' index.
-        A safety check ensures the resulting index lies within the segment bounds, and if so it sets exactly one 
-        position (offset + idx) to 1, leaving the rest of that segment at 0. This yields a sparse (in content, dense in storage) 
-        one‑hot slice per categorical feature placed contiguously after the numeric portion of the feature vector. 
-        Potential edge cases: unseen tokens at inference will still resolve via the fallback, and very large vocabularies 
-        expand vec length proportionally.
-         */
-        stringIndices.forEach(i => {
-            const name = featureNames[i];
-            const { offset, size } = oneHotOffsets[name];
-            let v = xs[name];
-            if (v === null || v === undefined || v === '') v = '__MISSING__';
-            v = String(v);
-            const idx = indexByFeature[name][v] !== undefined ? indexByFeature[name][v] : indexByFeature[name]['__MISSING__'];
-            if (idx >= 0 && idx < size) vec[offset + idx] = 1;
-        });
+/**
+Runs stratified k-fold cross-validation on the label column and prints per-fold and mean ± std validation loss and accuracy.
+Each fold trains a throwaway model that is disposed as soon as it has been scored. Returns heldOut, the out-of-fold
+probabilities and labels of all rows in row order (every row is predicted by the one model that did not train on it), and
+with options.importance the permutation importance of the fold models on their validation rows, averaged over folds.
+*/
+export async function crossValidate(rows, labels, config, options = {}) {
+    const k = config.training.folds;
+    const folds = stratifiedKFold(labels, k, config.training.seed);
+    const foldMetrics = [];
+    const foldImportance = [];
+    const oofProbs = new Array(rows.length);
+    for (let f = 0; f < folds.length; f++) {
+        const { trainIndices, valIndices } = folds[f];
+        console.log(`Fold ${f + 1}/${k}: ${trainIndices.length} training rows, ${valIndices.length} validation rows`);
+        const valRows = valIndices.map(i => rows[i]);
+        const { model, preprocessor, metrics, heldOut, valFeatures } =
+            await trainAndEvaluate(trainIndices.map(i => rows[i]), valRows, stageConfig(config, `fold-${f + 1}`));
+        if (options.importance) foldImportance.push(await heldOutImportance(model, preprocessor, valFeatures, heldOut.labels, config));
+        model.dispose();
+        foldMetrics.push(metrics);
+        valIndices.forEach((idx, j) => { oofProbs[idx] = heldOut.probs[j]; });
+        console.log(`Fold ${f + 1}/${k}: ${formatMetrics(metrics)}`);
+    }
 
-        return { xs: vec, ys: [encodeLabel(ys)] };
-    }).batch(BATCH_SIZE).prefetch(1);
+    console.log('Cross-validation results:');
+    foldMetrics.forEach((m, f) => console.log(`  fold ${f + 1}: ${formatMetrics(m)}`));
+    const loss = meanAndStd(foldMetrics.map(m => m.loss));
+    const accuracy = meanAndStd(foldMetrics.map(m => m.accuracy));
+    console.log(`  mean: loss=${loss.mean.toFixed(4)} ± ${loss.std.toFixed(4)} accuracy=${accuracy.mean.toFixed(4)} ± ${accuracy.std.toFixed(4)}`);
+    return {
+        heldOut: { probs: oofProbs, labels: labels.slice() },
+        importance: options.importance ? averageImportance(foldImportance) : null
+    };
+}
 
-    await encodedDataset.take(1).forEachAsync(b => {
-        console.log('Sample batch features shape:', b.xs.shape);
-        console.log('Sample batch labels shape:', b.ys.shape);
-        console.log('Sample batch features:', b.xs.arraySync());
-        console.log('Sample batch labels:', b.ys.arraySync());
+// Permutation importance (see importance.js) of a model on its held-out { xs, ys } rows, as prepared by fitPreprocessing
+function heldOutImportance(model, preprocessor, valFeatures, labels, config) {
+    console.log(`Computing permutation importance on ${valFeatures.length} held-out rows...`);
+    return permutationImportance(model, preprocessor, valFeatures.map(({ xs }) => xs), labels, {
+        repeats: config.importance.repeats,
+        seed: config.training.seed
     });
+}
 
-    // Create and train model
-    const model = createModel(totalDim);
-    const EPOCHS = 20;
-    console.log('Starting training...');
-    await model.fitDataset(encodedDataset, {
-        epochs: EPOCHS,
-        verbose: 1,
-        callbacks: tf.node.tensorBoard('../logdir', {
-            updateFreq: 'batch'
-        })
+function logImportance(importance) {
+    console.log(`Permutation importance by column (log-loss increase, accuracy drop; ${importance.rows} held-out rows):`);
+    importance.columns.forEach(c => {
+        console.log(`  ${c.name.padEnd(14)} ${c.logLossIncrease.toFixed(4)} ± ${c.logLossIncreaseStd.toFixed(4)}  ${c.accuracyDrop.toFixed(4)}`);
     });
-    console.log('Training complete.');
+    const shared = Object.entries(importance.sharedFeatures);
+    if (shared.length > 0) {
+        console.log('  Shuffled with each of their columns, so the numbers above overlap: ' +
+            shared.map(([feature, columns]) => `${feature} (${columns.join(', ')})`).join('; '));
+    }
+}
 
-    // Persist preprocessing artifacts (include numericMeans)
-    const fs = await import('fs');
-    if (!fs.existsSync('../model_artifacts')) fs.mkdirSync('../model_artifacts', { recursive: true });
-    const artifacts = {
-        featureNames,
-        numericIndices,
-        stringIndices,
-        numericMeans,
-        numericStds,
-        vocabByFeature,
-        oneHotOffsets,
-        totalDim
-    };
-    fs.writeFileSync('../model_artifacts/preprocessing.json', JSON.stringify(artifacts, null, 2));
-    console.log('Saved preprocessing artifacts to model_artifacts/preprocessing.json');
+/**
+Fits the calibrator and decision threshold configured in config.calibration on held-out predictions and logs what they change.
+*/
+export function calibrateHeldOut(heldOut, config) {
+    const calibration = fitCalibration(heldOut.probs, heldOut.labels, config.calibration);
+    const f = calibration.fittedOn;
+    console.log(`Calibration (${calibration.method}) on ${f.rows} held-out rows: ` +
+        `log-loss ${f.logLossBefore.toFixed(4)} -> ${f.logLossAfter.toFixed(4)}, ` +
+        `accuracy ${f.accuracyAtHalf.toFixed(4)} at 0.5 -> ${f.accuracyAtThreshold.toFixed(4)} at threshold ${calibration.threshold.toFixed(4)}`);
+    return calibration;
+}
 
-    // Save model
-    await model.save('file://../model_artifacts/model');
-    console.log('Model saved to model_artifacts/model');
+/**
+Trains the model that gets saved, together with held-out predictions for it. With training.folds >= 2 it first cross-validates
+and then refits on all rows, and heldOut holds the out-of-fold predictions of every row; otherwise it trains on a stratified
+hold-out split and heldOut holds the predictions for the validation rows. heldOutIndices lists the rows heldOut refers to, so
+predictions of several models trained with the same split settings can be lined up row by row.
+With options.importance the result also carries the permutation importance measured on the same held-out rows (with
+cross-validation: of the fold models, averaged), otherwise importance is null.
+*/
+export async function fitWithHeldOut(rows, labels, config, options = {}) {
+    const { folds, validationSplit, seed } = config.training;
+    if (folds > 1) {
+        const { heldOut, importance } = await crossValidate(rows, labels, config, options);
+        // The model that gets saved is refitted on every labeled row
+        console.log('Training final model on all rows...');
+        const result = await trainAndEvaluate(rows, null, stageConfig(config, 'final'));
+        return { ...result, heldOut, heldOutIndices: rows.map((_, i) => i), importance };
+    }
+    const { trainIndices, valIndices } = stratifiedSplit(labels, validationSplit, seed);
+    console.log(`Hold-out split: ${trainIndices.length} training rows, ${valIndices.length} validation rows`);
+    const valRows = valIndices.map(i => rows[i]);
+    const result = await trainAndEvaluate(trainIndices.map(i => rows[i]), valRows, stageConfig(config, 'holdout'));
+    console.log(`Validation: ${formatMetrics(result.metrics)}`);
+    const importance = options.importance
+        ? await heldOutImportance(result.model, result.preprocessor, result.valFeatures, result.heldOut.labels, config)
+        : null;
+    return { ...result, heldOutIndices: valIndices, importance };
 }
 
-run();
\ No newline at end of file
+/**
+Trains a model as described by a resolved config (see config.js) and writes the preprocessing artifacts, the model and the
+config itself to config.paths.artifactsDir. See fitWithHeldOut for how the rows are split. The calibrator and decision threshold
+are fitted on the held-out predictions: the validation split, or the out-of-fold predictions when cross-validating. With
+importance.enabled the permutation importance on the same held-out rows is logged and saved as importance.json. A profile of
+the raw training columns is saved as profile.json, for predict to check its inputs against (see drift.js). With
+tracking.enabled the artifacts are also archived as a new run (see runs.js).
+*/
+export async function train(baseConfig) {
+    const { run, config } = startRun(baseConfig, 'train');
+
+    // Load the labeled rows once; splits and folds pick rows out of this array by index
+    const { rows, labels, rawRows } = await loadTrainingRows(config);
+    console.log(`Loaded ${rows.length} labeled rows from ${config.paths.train}.`);
+
+    const result = await fitWithHeldOut(rows, labels, config, { importance: config.importance.enabled });
+    const calibration = calibrateHeldOut(result.heldOut, config);
+    if (result.importance) logImportance(result.importance);
+
+    await saveArtifacts(config.paths.artifactsDir, { ...result, calibration });
+    saveProfile(config.paths.artifactsDir, profileRows(rawRows));
+    console.log('Saved run config to ' + saveConfig(config, config.paths.artifactsDir));
+    finishRun(run, config, { entries: SINGLE_MODEL_ENTRIES, calibration, history: result.history });
+    result.model.dispose();
+    return result.metrics;
+}
@@ -0,0 +1,92 @@
+/**
+This module holds the row-splitting helpers used to estimate how well a model generalizes: a stratified hold-out split and
+stratified k-fold cross-validation. Both work on plain arrays of 0/1 labels and return arrays of row indices, so the caller decides
+how rows are stored and only has to pick them out by index.
+
+Stratification keeps the Transported ratio of every split close to that of the full training file. Rows of each class are shuffled
+with a seeded generator and then dealt out separately, so the same seed always produces the same folds and two runs can be compared.
+*/
+
+/**
+createRng returns a small deterministic pseudo-random generator (mulberry32) producing floats in [0, 1).
+Math.random cannot be seeded, which would make every split different from the previous run.
+*/
+export function createRng(seed) {
+  let state = seed >>> 0;
+  return function next() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Fisher–Yates shuffle driven by the supplied generator
+export function shuffleInPlace(array, rng) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+// Group row indices by label value and shuffle each group
+function shuffledIndicesByClass(labels, rng) {
+  const byClass = new Map();
+  labels.forEach((label, idx) => {
+    if (!byClass.has(label)) byClass.set(label, []);
+    byClass.get(label).push(idx);
+  });
+  return Array.from(byClass.keys()).sort().map(label => shuffleInPlace(byClass.get(label), rng));
+}
+
+/**
+stratifiedSplit divides the rows into a training and a validation part. validationFraction (0–1, exclusive) is applied per class,
+so a 0.2 split of a 50/50 dataset yields a validation set that is itself close to 50/50.
+*/
+export function stratifiedSplit(labels, validationFraction, seed = 42) {
+  if (!(validationFraction > 0 && validationFraction < 1)) {
+    throw new Error(`validationFraction must be between 0 and 1, got ${validationFraction}`);
+  }
+  const rng = createRng(seed);
+  const trainIndices = [];
+  const valIndices = [];
+  shuffledIndicesByClass(labels, rng).forEach(indices => {
+    const valCount = Math.round(indices.length * validationFraction);
+    valIndices.push(...indices.slice(0, valCount));
+    trainIndices.push(...indices.slice(valCount));
+  });
+  return { trainIndices: shuffleInPlace(trainIndices, rng), valIndices: shuffleInPlace(valIndices, rng) };
+}
+
+/**
+stratifiedKFold deals the shuffled rows of each class round-robin into k folds and returns, for every fold, the indices used for
+validation (that fold) and for training (all the other folds). Every row is validated exactly once across the k entries.
+*/
+export function stratifiedKFold(labels, k, seed = 42) {
+  if (!Number.isInteger(k) || k < 2) {
+    throw new Error(`k must be an integer >= 2, got ${k}`);
+  }
+  const rng = createRng(seed);
+  const folds = Array.from({ length: k }, () => []);
+  let next = 0;
+  shuffledIndicesByClass(labels, rng).forEach(indices => {
+    indices.forEach(idx => {
+      folds[next].push(idx);
+      next = (next + 1) % k;
+    });
+  });
+  return folds.map((valIndices, f) => ({
+    trainIndices: shuffleInPlace(folds.filter((_, g) => g !== f).flat(), rng),
+    valIndices
+  }));
+}
+
+// Population mean and standard deviation of a list of fold scores
+export function meanAndStd(values) {
+  if (values.length === 0) return { mean: NaN, std: NaN };
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const variance = values.reduce((a, b) => a + (b - mean) * (b - mean), 0) / values.length;
+  return { mean, std: Math.sqrt(variance) };
+}